@@ -1,20 +1,32 @@
 'use strict';
 
 // Will normalize incoming Bitbucket webhook payloads into Slack compatible, display-friendly formats,
-// proxying the call to the configured Slack endpoint.
+// proxying the call to the configured Slack endpoint. Both Bitbucket Cloud and Bitbucket Server / Data Center
+// webhooks are understood.
+//
+// Reading the configuration from S3, the DynamoDB thread store, the SQS dead-letter queue and answering Slack in the
+// background use the AWS SDK for JavaScript v3, which the Node.js 18 and later Lambda runtimes provide. Elsewhere,
+// deploy the `@aws-sdk/client-s3`, `@aws-sdk/client-dynamodb`, `@aws-sdk/lib-dynamodb`, `@aws-sdk/client-sqs` and
+// `@aws-sdk/client-lambda` packages next to the script.
 //
 // Adapted from https://github.com/lfilho/bitbucket-slack-pr-hook/blob/master/lib/bitbucketParser.js
 
-var https = require('https');
+var crypto = require('crypto'),
+    https = require('https'),
+    querystring = require('querystring');
 
 //------------------------------
 // Required Configuration
 //------------------------------
 
+// Every value below can also be set from Lambda environment variables or a configuration document instead of being
+// edited here; see Configuration Loading further down.
+
 // Your Slack endpoint path-- eg /services/XXXXXXXXXXXXX/XXXXXXXXXXXX
 var slackPath = 'REPLACE_ME_WITH_ENDPOINT_PATH';
 
-// A simple username lookup for @mentions in Slack
+// A lookup for @mentions in Slack. Keys are a Bitbucket account ID, UUID, nickname or username and values are Slack
+// user IDs (eg U0123456789), or Slack usernames for older workspaces. Unmapped users are shown by display name.
 var BITBUCKET_TO_SLACK_USERS = {
     'bitbucket_username': 'slack_username',
     'etc': 'etc'
@@ -22,665 +34,6859 @@ var BITBUCKET_TO_SLACK_USERS = {
 
 
 
+//------------------------------
+// Optional Configuration
+//------------------------------
+
+// Routes events to different Slack channels. When left empty, every event is sent to `slackPath` above (or to
+// `SLACK_CHANNEL` below). Otherwise each event is matched against every rule and delivered to the combined `webhooks`,
+// `channels` and `outputs` of all matching rules; an event matching no rule is dropped. `outputs` deliver to other
+// services by the full URL of their incoming webhook, with a `type` of 'slack', 'teams', 'discord' or 'json' (the
+// notification as-is). Teams gets an Adaptive Card, or a MessageCard for older connectors with `card: 'message'`.
+//
+// Every criterion is optional and takes a single pattern or a list of them. `*` matches anything but a `/` and `**`
+// matches anything, so `release/*` matches `release/1.2` and `repo:*` matches every repository event. `branches` is
+// checked against the destination branch of a pull-request, the pushed branch / tag or the branch a build ran on.
+//
+// {
+//     repositories: ['my-repo', 'mobile-*'],
+//     branches: ['master', 'release/*'],
+//     events: ['pullrequest:fulfilled', 'repo:push'],
+//     webhooks: ['/services/XXXXXXXXXXXXX/XXXXXXXXXXXX'],
+//     channels: ['C0123456789'],
+//     outputs: [{type: 'teams', url: 'https://example.webhook.office.com/...'}]
+// }
+var SLACK_ROUTES = [];
+
+// The secret configured on the Bitbucket webhook. When set, every request must carry a valid `X-Hub-Signature`
+// header (an HMAC-SHA256 of the raw body) or it is rejected before anything is sent to Slack.
+var BITBUCKET_WEBHOOK_SECRET = '';
+
+// Source addresses or IPv4 CIDR ranges allowed to call the endpoint-- eg ['104.192.136.0/21']. Left empty, requests
+// are accepted from anywhere. Bitbucket Cloud publishes its outgoing ranges at https://ip-ranges.atlassian.com
+var BITBUCKET_IP_ALLOWLIST = [];
+
+// A Slack bot token (xoxb-...) with the `chat:write` scope. When set, messages are posted through the Web API to
+// `SLACK_CHANNEL` instead of the `slackPath` webhook, and routes may list channel IDs under `channels` next to their
+// `webhooks`. Posting through the Web API groups every event of a pull-request in the thread of its "Created" message.
+var SLACK_BOT_TOKEN = '';
+
+// The channel ID messages are posted to through the Web API when `SLACK_ROUTES` is empty-- eg C0123456789
+var SLACK_CHANNEL = '';
+
+// The signing secret of the Slack app (Basic Information -> App Credentials). Requests carrying Slack's
+// `X-Slack-Signature` header, button clicks of `SLACK_ACTIONS` and slash commands of `SLACK_COMMANDS`, are answered as
+// coming from Slack and rejected unless signed with it.
+var SLACK_SIGNING_SECRET = '';
+
+// Where the Slack thread of each pull-request, and the deliveries and updates seen by `DEDUPLICATION`, are
+// remembered. The default memory store only lasts as long as the Lambda container stays warm, so use DynamoDB (a
+// table with a string `id` partition key) for reliable threading:
+//
+// {type: 'memory'}
+// {type: 'file', path: '/tmp/bitbucket-slack-threads.json'}
+// {type: 'dynamodb', table: 'bitbucket-slack-threads', ttlDays: 90}
+var THREAD_STORE = {type: 'memory'};
+
+// Attachment colors used by the message handlers
+var SLACK_COLORS = {
+    red: '#e74c3c',
+    green: '#2ecc71',
+    blue: '#3498db',
+    yellow: '#f1c40f'
+};
+
+// How messages are laid out: 'attachments' (legacy, works in every workspace) or 'blocks' (Slack Block Kit)
+var MESSAGE_FORMAT = 'attachments';
+
+// How Slack deliveries are retried. Network errors, timeouts, rate limits and server errors are retried up to
+// `retries` times with exponential backoff from `baseDelay` up to `maxDelay` milliseconds, within the Lambda timeout.
+// Each attempt is abandoned after `timeout` milliseconds. Messages that still could not be delivered are sent to the
+// SQS queue at `deadLetterQueueUrl`, when set, and the webhook is then answered as delivered. Without a queue it fails,
+// and Bitbucket's retry of it skips the targets already delivered to (see `DEDUPLICATION`).
+var DELIVERY = {
+    retries: 4,
+    baseDelay: 500,
+    maxDelay: 8000,
+    timeout: 5000,
+    deadLetterQueueUrl: ''
+};
+
+// Rewording of messages per event key, eg {'pullrequest:approved': {pretext: '_*Approved* by {{actor}}_'}}. Anything
+// a template leaves out keeps the default wording. Routes can override these with their own `templates`. See
+// `applyTemplate` for the supported keys, placeholders and conditionals.
+var MESSAGE_TEMPLATES = {};
+
+// Drops noisy events before any message is built. Filters are checked in order and the first one whose criteria
+// all match decides, by its `action` of 'drop' or 'allow'; an event matching no filter is allowed. Criteria work
+// like those of `SLACK_ROUTES`, with `actors` matching a username, nickname, account ID or UUID, `sourceBranches`
+// the source branch of a pull-request and `titles` holding case-insensitive regular expressions for its title.
+//
+// {action: 'drop', actors: ['ci-bot'], events: 'pullrequest:updated', reason: 'CI bot'}
+// {action: 'drop', titles: ['^\\[WIP\\]', '^Draft:'], reason: 'work in progress'}
+// {action: 'drop', branches: 'wip/**', reason: 'throwaway branches'}
+var EVENT_FILTERS = [];
+
+// The most commits listed per pushed branch; the rest are linked to
+var PUSH_COMMIT_LIMIT = 10;
+
+// What becomes of events this proxy has no message for, and of payloads missing what their event should carry:
+// 'message' posts a generic "Unrecognized Event" message wherever the event is routed, 'ignore' answers with a 2xx
+// and only logs it. Either way Bitbucket sees the webhook as delivered and does not retry it.
+var UNRECOGNIZED_EVENTS = 'message';
+
+// Bitbucket redelivers webhooks it did not see answered in time, and busy pull-requests send bursts of `updated`
+// events. A delivery whose X-Request-UUID was already processed within `requestTtl` seconds is ignored. When
+// `debounceWindow` is set, `updated` events of a pull-request arriving within that many seconds of the first one
+// are collapsed: the message posted through the Web API for the first one is edited in place, and webhooks, whose
+// messages cannot be edited, are skipped. Use 0 to turn either off.
+var DEDUPLICATION = {
+    requestTtl: 86400,
+    debounceWindow: 0
+};
+
+// Credentials for the Bitbucket Cloud REST API: an app password of `username`, or an access `token`. Only needed by
+// features reading from or acting on Bitbucket, such as the digest below.
+var BITBUCKET_API = {
+    username: '',
+    appPassword: '',
+    token: ''
+};
+
+// A digest of open pull-requests, posted when the function is invoked by an EventBridge schedule such as
+// `cron(0 9 ? * MON-FRI *)`. The pull-requests are either those the proxy has seen events for (`source: 'events'`,
+// remembered in `THREAD_STORE`) or fetched for the listed `repositories` (full names, eg team/repo) through
+// `BITBUCKET_API` (`source: 'api'`). Each is listed with its age and the reviewers yet to approve, and flagged once it
+// saw no activity for `staleDays`. A digest goes to every webhook and channel that the `pullrequest:created` events
+// of its pull-requests are routed to, unless `webhooks` or `channels` are given. Leave `source` empty to disable.
+var DIGEST = {
+    source: '',
+    repositories: [],
+    staleDays: 3,
+    webhooks: [],
+    channels: []
+};
+
+// Personal notifications, sent as direct messages from the bot of `SLACK_BOT_TOKEN` next to the unchanged channel
+// posts. Reviewers are messaged when added to a pull-request (`reviewerAdded`), and authors when someone else
+// `approved`, `changesRequested` on, `merged`, `declined` or `commented` on their pull-request. `events` lists the
+// kinds everyone gets, and `users` overrides them per Bitbucket user (keyed like `BITBUCKET_TO_SLACK_USERS`), eg
+// {"jane": ["reviewerAdded", "merged"], "john": []}. Users need to be mapped to a Slack user ID, or found by email.
+var DIRECT_MESSAGES = {
+    enabled: false,
+    events: ['reviewerAdded', 'approved', 'changesRequested', 'merged', 'declined', 'commented'],
+    users: {}
+};
+
+// How the build results that pipelines report to Bitbucket (`repo:commit_status_*` events) are shown. Where the
+// pull-request or push message of the built commit was posted through the Web API, its status is added to that
+// message in place; everywhere else a compact notice links to the build. A failed build on one of the
+// `protectedBranches` (patterns like those of `SLACK_ROUTES`) is always posted as a notice in `escalationColor`,
+// pinging `mention`: <!channel>, <!here>, a user group such as <!subteam^S0123456789>, or '' for nobody.
+var BUILD_STATUS = {
+    protectedBranches: ['master'],
+    escalationColor: '#8e44ad',
+    mention: '<!channel>'
+};
+
+// Approve and Request Changes buttons on "Pull-Request Created" messages, next to buttons opening the pull-request and
+// its diff. Set the Interactivity Request URL of the Slack app to the URL of this function, which tells Slack's
+// requests from Bitbucket's by their signature, see `SLACK_SIGNING_SECRET`. Bitbucket only lets people approve as
+// themselves, so clicks are made with the `credentials` of the clicking user, found by mapping the Slack user back
+// through `BITBUCKET_TO_SLACK_USERS` and keyed the same way: an app password or an access token, eg
+// {"jdoe": {"username": "jdoe", "appPassword": "..."}, "jsmith": {"token": "..."}}. Slack is answered at once and the
+// function invokes itself asynchronously to act on the click, which takes `lambda:InvokeFunction` on itself.
+var SLACK_ACTIONS = {
+    enabled: false,
+    credentials: {}
+};
+
+// A `/bitbucket` slash command answering only the person typing it: `prs <repo>` lists the open pull-requests of a
+// repository with their reviewers and approvals, `mine` those its user authored or reviews and `pr <id>` shows one
+// pull-request (`pr <repo> <id>` when more than one of `repositories` is listed). Point the Request URL of the Slack
+// command at this function, see `SLACK_SIGNING_SECRET`. Pull-requests are read through `BITBUCKET_API`, from any
+// repository it can see unless `repositories` (full names, eg team/repo) are listed; `mine` looks through those.
+// Lookups are answered at once with a note and posted when done, as `SLACK_ACTIONS` are acted on.
+var SLACK_COMMANDS = {
+    enabled: false,
+    repositories: []
+};
+
+// What is logged and measured. With `format: 'json'` every log line is a JSON object carrying the correlation id
+// (the X-Request-UUID of the webhook, or else the Lambda request ID), event key and repository of the webhook being
+// processed; 'text' keeps plain lines. `level` is debug, info, warn or error, and at debug level every webhook is
+// logged as received. Webhooks that failed are logged with their payload, without the text of comments when
+// `redactComments` is set. Counts and latencies are written as CloudWatch Embedded Metric Format records under
+// `metricsNamespace`, which turns them into metrics without any API call; leave it empty to turn metrics off.
+var LOGGING = {
+    format: 'json',
+    level: 'info',
+    redactComments: false,
+    metricsNamespace: 'BitbucketSlackProxy'
+};
+
+var FEATURE_SWITCH = {
+    mentionReviewers: true, //false
+
+    // Find unmapped users by email through Slack's users.lookupByEmail. Requires `SLACK_BOT_TOKEN` with the
+    // `users:read.email` scope; Bitbucket only shares email addresses of Server users and commit authors.
+    lookupUsersByEmail: false
+};
+
+
+
 //------------------------------
 // AWS Lambda Endpoint Config
 //------------------------------
 
-// Create this as an AWS Lambda function (can be pasted to inline editor), and configure an API Gateway endpoint.
-// The endpoint should be configured as a POST receiver for the incoming Bitbucket webhook. Provide the generated
-// URL to Bitbucket's Webhooks (Settings -> Webhooks -> Add Webhook ...).
+// Create this as an AWS Lambda function (can be pasted to inline editor), and expose it through a Lambda Function URL,
+// an API Gateway HTTP API or an API Gateway REST API using Lambda proxy integration. The endpoint should accept POST
+// requests from the incoming Bitbucket webhook. Provide the generated URL to Bitbucket's Webhooks (Settings ->
+// Webhooks -> Add Webhook ...). Proxy integrations pass the request headers and raw body through as they are, and
+// receive a response with a meaningful HTTP status code.
 //
 //
-// NOTE: The API Gateway endpoint must be configured to accept a Method Request -> Header -> Value: 'X-Event-Key'
+// NOTE: Older setups using a REST API without proxy integration are still supported. There the API Gateway endpoint
+// must be configured to accept a Method Request -> Header -> Value: 'X-Event-Key'
 // This is how Bitbucket provides the event name to the recipient. Once configured, this header will then become
 // available to be transformed into a Lambda function parameter for use in the script. It should be setup with
 // the Integration Request -> Body Mapping Template (application/json) value below:
 //
 // {
 //   "payload" : $input.json('$'),
-//   "_event_key" : "$input.params('X-Event-Key')"
+//   "_event_key" : "$input.params('X-Event-Key')",
+//   "_signature" : "$input.params('X-Hub-Signature')",
+//   "_raw_body" : "$util.base64Encode($input.body)",
+//   "_source_ip" : "$context.identity.sourceIp",
+//   "_request_uuid" : "$input.params('X-Request-UUID')"
 // }
 //
+// The signature, raw body and source IP are only needed when `BITBUCKET_WEBHOOK_SECRET` or `BITBUCKET_IP_ALLOWLIST`
+// are set. The signature is computed over the body exactly as Bitbucket sent it, so it has to be passed along
+// encoded rather than re-serialized. The request UUID lets redelivered webhooks be recognized, see `DEDUPLICATION`.
+//
 // See also: http://stackoverflow.com/questions/34286197/how-to-access-header-in-aws-lambda
 
 
 
 //------------------------------
-// BitBucket Processing
+// Configuration Loading
 //------------------------------
 
+// The values above are only the fallback. At cold start they are overlaid with an optional configuration document,
+// then with Lambda environment variables, so nothing needs editing in the script itself:
+//
+// CONFIG_SOURCE             JSON or YAML document, either s3://bucket/key.json or a local path. YAML requires the
+//                           js-yaml module to be deployed next to the script.
+// SLACK_PATH                slackPath
+// BITBUCKET_TO_SLACK_USERS  JSON object, eg {"bitbucket_username": "slack_username"}
+// SLACK_ROUTES              JSON list of routes
+// EVENT_FILTERS             JSON list of filters
+// BITBUCKET_WEBHOOK_SECRET  Webhook secret
+// BITBUCKET_IP_ALLOWLIST    Comma separated addresses / ranges
+// SLACK_BOT_TOKEN           Bot token
+// SLACK_CHANNEL             Channel ID
+// SLACK_SIGNING_SECRET      Signing secret of the Slack app
+// THREAD_STORE              JSON object, eg {"type": "dynamodb", "table": "bitbucket-slack-threads"}
+// SLACK_COLORS              JSON object, merged over the default colors
+// MESSAGE_FORMAT            attachments or blocks
+// MESSAGE_TEMPLATES         JSON object of message templates keyed by event key
+// PUSH_COMMIT_LIMIT         Most commits listed per pushed branch
+// UNRECOGNIZED_EVENTS       message or ignore
+// DELIVERY                  JSON object, merged over the default retry settings
+// DEAD_LETTER_QUEUE_URL     SQS queue URL for messages that could not be delivered
+// DEDUPLICATION             JSON object, merged over the default deduplication settings
+// DEBOUNCE_WINDOW           Seconds within which `updated` events of a pull-request are collapsed
+// BITBUCKET_USERNAME        Bitbucket API username
+// BITBUCKET_APP_PASSWORD    Bitbucket API app password
+// BITBUCKET_TOKEN           Bitbucket API access token
+// DIGEST                    JSON object, merged over the default digest settings
+// DIGEST_SOURCE             events or api
+// DIGEST_REPOSITORIES       Comma separated repository full names
+// DIGEST_STALE_DAYS         Days without activity after which a pull-request is flagged
+// DIRECT_MESSAGES           JSON object, merged over the default direct message settings
+// DIRECT_MESSAGES_ENABLED   true or false
+// BUILD_STATUS              JSON object, merged over the default build status settings
+// SLACK_ACTIONS             JSON object, merged over the default interactive button settings
+// SLACK_ACTIONS_ENABLED     true or false
+// SLACK_ACTION_CREDENTIALS  JSON object of Bitbucket credentials keyed by Bitbucket user
+// SLACK_COMMANDS            JSON object, merged over the default slash command settings
+// SLACK_COMMANDS_ENABLED    true or false
+// COMMAND_REPOSITORIES      Comma separated repository full names
+// PROTECTED_BRANCHES        Comma separated branch patterns whose failed builds are escalated
+// BUILD_FAILURE_MENTION     Mention of escalated build failures, eg <!here>
+// LOGGING                   JSON object, merged over the default logging settings
+// LOG_FORMAT                json or text
+// LOG_LEVEL                 debug, info, warn or error
+// REDACT_COMMENTS           true or false
+// METRICS_NAMESPACE         CloudWatch namespace of the metrics, or empty to turn them off
+// MENTION_REVIEWERS         true or false
+// LOOKUP_USERS_BY_EMAIL     true or false
+//
+// The configuration document uses the keys of the `config` object below, eg
+//
+// {
+//     "slackPath": "/services/XXXXXXXXXXXXX/XXXXXXXXXXXX",
+//     "users": {"bitbucket_username": "slack_username"},
+//     "routes": [{"repositories": "mobile-*", "webhooks": "/services/XXXXXXXXXXXXX/XXXXXXXXXXXX"}],
+//     "templates": {"pullrequest:fulfilled": {"pretext": "_Pull-Request: *Shipped* :rocket:_"}},
+//     "colors": {"green": "#36a64f"},
+//     "featureSwitch": {"mentionReviewers": false}
+// }
+
+var ENVIRONMENT_VARIABLES = {
+    SLACK_PATH: {key: 'slackPath', type: 'string'},
+    BITBUCKET_TO_SLACK_USERS: {key: 'users', type: 'json'},
+    SLACK_ROUTES: {key: 'routes', type: 'json'},
+    EVENT_FILTERS: {key: 'filters', type: 'json'},
+    BITBUCKET_WEBHOOK_SECRET: {key: 'webhookSecret', type: 'string'},
+    BITBUCKET_IP_ALLOWLIST: {key: 'ipAllowlist', type: 'list'},
+    SLACK_BOT_TOKEN: {key: 'slackBotToken', type: 'string'},
+    SLACK_CHANNEL: {key: 'slackChannel', type: 'string'},
+    SLACK_SIGNING_SECRET: {key: 'slackSigningSecret', type: 'string'},
+    THREAD_STORE: {key: 'threadStore', type: 'json'},
+    SLACK_COLORS: {key: 'colors', type: 'json'},
+    MESSAGE_FORMAT: {key: 'messageFormat', type: 'string'},
+    MESSAGE_TEMPLATES: {key: 'templates', type: 'json'},
+    PUSH_COMMIT_LIMIT: {key: 'pushCommitLimit', type: 'number'},
+    UNRECOGNIZED_EVENTS: {key: 'unrecognizedEvents', type: 'string'},
+    DELIVERY: {key: 'delivery', type: 'json'},
+    DEAD_LETTER_QUEUE_URL: {key: 'delivery.deadLetterQueueUrl', type: 'string'},
+    DEDUPLICATION: {key: 'deduplication', type: 'json'},
+    DEBOUNCE_WINDOW: {key: 'deduplication.debounceWindow', type: 'number'},
+    BITBUCKET_USERNAME: {key: 'bitbucketApi.username', type: 'string'},
+    BITBUCKET_APP_PASSWORD: {key: 'bitbucketApi.appPassword', type: 'string'},
+    BITBUCKET_TOKEN: {key: 'bitbucketApi.token', type: 'string'},
+    DIGEST: {key: 'digest', type: 'json'},
+    DIGEST_SOURCE: {key: 'digest.source', type: 'string'},
+    DIGEST_REPOSITORIES: {key: 'digest.repositories', type: 'list'},
+    DIGEST_STALE_DAYS: {key: 'digest.staleDays', type: 'number'},
+    DIRECT_MESSAGES: {key: 'directMessages', type: 'json'},
+    DIRECT_MESSAGES_ENABLED: {key: 'directMessages.enabled', type: 'boolean'},
+    BUILD_STATUS: {key: 'buildStatus', type: 'json'},
+    PROTECTED_BRANCHES: {key: 'buildStatus.protectedBranches', type: 'list'},
+    BUILD_FAILURE_MENTION: {key: 'buildStatus.mention', type: 'string'},
+    SLACK_ACTIONS: {key: 'slackActions', type: 'json'},
+    SLACK_ACTIONS_ENABLED: {key: 'slackActions.enabled', type: 'boolean'},
+    SLACK_ACTION_CREDENTIALS: {key: 'slackActions.credentials', type: 'json'},
+    SLACK_COMMANDS: {key: 'slackCommands', type: 'json'},
+    SLACK_COMMANDS_ENABLED: {key: 'slackCommands.enabled', type: 'boolean'},
+    COMMAND_REPOSITORIES: {key: 'slackCommands.repositories', type: 'list'},
+    LOGGING: {key: 'logging', type: 'json'},
+    LOG_FORMAT: {key: 'logging.format', type: 'string'},
+    LOG_LEVEL: {key: 'logging.level', type: 'string'},
+    REDACT_COMMENTS: {key: 'logging.redactComments', type: 'boolean'},
+    METRICS_NAMESPACE: {key: 'logging.metricsNamespace', type: 'string'},
+    MENTION_REVIEWERS: {key: 'featureSwitch.mentionReviewers', type: 'boolean'},
+    LOOKUP_USERS_BY_EMAIL: {key: 'featureSwitch.lookupUsersByEmail', type: 'boolean'}
+};
+
 
 /**
- * Examine the message from Bitbucket to determine the message to send
- * to the notification service. See [0] for more information regarding available events..
- *
- * [0]: https://confluence.atlassian.com/bitbucket/event-payloads-740262817.html
+ * @return {object}  The configuration made of the inline values at the top of this script
+ */
+function defaultConfig() {
+    return {
+        slackPath: slackPath,
+        users: BITBUCKET_TO_SLACK_USERS,
+        routes: SLACK_ROUTES,
+        filters: EVENT_FILTERS,
+        webhookSecret: BITBUCKET_WEBHOOK_SECRET,
+        ipAllowlist: BITBUCKET_IP_ALLOWLIST,
+        slackBotToken: SLACK_BOT_TOKEN,
+        slackChannel: SLACK_CHANNEL,
+        slackSigningSecret: SLACK_SIGNING_SECRET,
+        threadStore: THREAD_STORE,
+        colors: SLACK_COLORS,
+        messageFormat: MESSAGE_FORMAT,
+        templates: MESSAGE_TEMPLATES,
+        pushCommitLimit: PUSH_COMMIT_LIMIT,
+        unrecognizedEvents: UNRECOGNIZED_EVENTS,
+        delivery: DELIVERY,
+        deduplication: DEDUPLICATION,
+        bitbucketApi: BITBUCKET_API,
+        digest: DIGEST,
+        directMessages: DIRECT_MESSAGES,
+        buildStatus: BUILD_STATUS,
+        slackActions: SLACK_ACTIONS,
+        slackCommands: SLACK_COMMANDS,
+        logging: LOGGING,
+        featureSwitch: FEATURE_SWITCH
+    };
+}
+
+// The active configuration. Starts out with the inline values and is replaced by `loadConfig`.
+var config = defaultConfig();
+
+// Configuration keys holding objects that are merged key by key
+var NESTED_CONFIG_KEYS = ['colors', 'delivery', 'deduplication', 'bitbucketApi', 'digest', 'directMessages',
+    'buildStatus', 'slackActions', 'slackCommands', 'logging', 'featureSwitch'];
+
+/**
+ * Overlay configuration values onto a base configuration. Nested objects such as `colors` and `delivery` are
+ * merged key by key, everything else is replaced.
  *
- * @param  {object} data        Payload of the webhook HTTP request
- * @param  {string} eventKey    Event-Key identified by webhook HTTP header
- * @param  {object} appContext  The Lambda context in which to invoke callbacks, etc
+ * @param  {object} base       Configuration to start from, left untouched
+ * @param  {object} overrides  Values taking precedence
+ * @return {object}            The merged configuration
  */
-function generateMessage(data, eventKey, appContext) {
+function mergeConfig(base, overrides) {
+    var merged = {};
 
-    console.info('Generating message for eventKey:', eventKey);
+    Object.keys(base).forEach(function(key) {
+        merged[key] = base[key];
+    });
 
-    //------------------------------
-    // Validation
-    //------------------------------
+    Object.keys(overrides || {}).forEach(function(key) {
+        var value = overrides[key];
 
-    var parsedKey = eventKey || '',
-        delimiter = parsedKey.indexOf(':'),
-        context = parsedKey.substring(0, delimiter);
-
-    parsedKey = parsedKey.substring(delimiter + 1, parsedKey.length);
-
-    var supportedContexts = ['pullrequest', 'repo'],
-        supportedEvents = {
-            'pullrequest': [
-                'created',
-                'updated',
-                'rejected',
-                'fulfilled',
-                'approved',
-                'unapproved',
-                'comment_created',
-                'comment_updated',
-                'comment_deleted'
-            ],
-            'repo': [
-                'push'
-            ]
-        };
+        if (NESTED_CONFIG_KEYS.indexOf(key) > -1 && value && typeof value === 'object') {
+            merged[key] = mergeConfig(base[key] || {}, value);
+        } else {
+            merged[key] = value;
+        }
+    });
 
+    return merged;
+}
 
-    if (supportedContexts.indexOf(context) < 0 || !parsedKey || supportedEvents[context].indexOf(parsedKey) < 0) {
-        appContext.fail('An unknown event type was submitted: ' + eventKey);
-        return;
-    }
+/**
+ * Read configuration overrides from the Lambda environment variables listed in `ENVIRONMENT_VARIABLES`.
+ *
+ * @param  {object} env  Environment, usually `process.env`
+ * @return {object}      Overrides keyed like the `config` object
+ */
+function readEnvironmentConfig(env) {
+    var overrides = {};
 
+    Object.keys(ENVIRONMENT_VARIABLES).forEach(function(name) {
+        var variable = ENVIRONMENT_VARIABLES[name],
+            raw = env[name],
+            value;
 
-    //------------------------------
-    // Formatting helpers
-    //------------------------------
+        if (raw === undefined || raw === '') {
+            return;
+        }
 
-    var helper = {
+        switch (variable.type) {
+            case 'json':
+                try {
+                    value = JSON.parse(raw);
+                } catch (e) {
+                    throw new Error(name + ' is not valid JSON: ' + e.message);
+                }
+                break;
+            case 'list':
+                value = raw.split(',').map(function(entry) {
+                    return entry.trim();
+                }).filter(Boolean);
+                break;
+            case 'number':
+                value = Number(raw);
+                if (isNaN(value)) {
+                    throw new Error(name + ' must be a number');
+                }
+                break;
+            case 'boolean':
+                if (['true', 'false'].indexOf(raw) < 0) {
+                    throw new Error(name + ' must be true or false');
+                }
+                value = raw === 'true';
+                break;
+            default:
+                value = raw;
+        }
 
-        capitalize: function(string) {
-            return string.charAt(0).toUpperCase() + string.slice(1);
-        },
+        var path = variable.key.split('.');
 
-        truncate: function(string, maxLength, showEllipsis) {
-            maxLength = maxLength || 100;
+        if (path.length > 1) {
+            overrides[path[0]] = overrides[path[0]] || {};
+            overrides[path[0]][path[1]] = value;
+        } else {
+            overrides[path[0]] = value;
+        }
+    });
 
-            if (string.length > maxLength) {
-                return string.substring(0, maxLength) + (showEllipsis !== false ? ' [...]' : '');
-            }
+    return overrides;
+}
 
-            return string;
-        },
+/**
+ * Parse a configuration document as YAML or JSON, depending on its name.
+ *
+ * @param  {string} source    Location the document was read from
+ * @param  {string} contents  The document
+ * @return {object}           Parsed configuration overrides
+ */
+function parseConfigDocument(source, contents) {
+    if (/\.ya?ml$/i.test(source)) {
+        var yaml;
+
+        try {
+            yaml = require('js-yaml');
+        } catch (e) {
+            throw new Error('Reading ' + source + ' requires the js-yaml module to be deployed with the function');
+        }
 
-        getPossiblyUndefinedKeyValue: function(obj, keySequence) {
-            var keys = keySequence.split('.');
+        return yaml.safeLoad ? yaml.safeLoad(contents) : yaml.load(contents);
+    }
 
-            while (obj && keys.length) {
-                obj = obj[keys.shift()];
-            }
+    try {
+        return JSON.parse(contents);
+    } catch (e) {
+        throw new Error(source + ' is not valid JSON: ' + e.message);
+    }
+}
 
-            return obj || undefined;
-        },
+/**
+ * Fetch the configuration document named by `CONFIG_SOURCE`, from S3 or the local file system.
+ *
+ * @param  {string}   source    s3://bucket/key or a file path
+ * @param  {function} callback  Invoked with an error or the parsed overrides
+ */
+function readConfigDocument(source, callback) {
 
-        COLORS: {
-            red: '#e74c3c',
-            green: '#2ecc71',
-            blue: '#3498db',
-            yellow: '#f1c40f'
-        },
+    var parse = function(err, contents) {
+        if (err) {
+            return callback(new Error('Unable to read configuration from ' + source + ': ' + err.message));
+        }
 
-        FEATURE_SWITCH: {
-            mentionReviewers: true //false
+        try {
+            callback(null, parseConfigDocument(source, String(contents)));
+        } catch (e) {
+            callback(e);
         }
     };
 
+    var s3Location = /^s3:\/\/([^\/]+)\/(.+)$/.exec(source);
 
-    //------------------------------
-    // PR Event Base Formatting
-    //------------------------------
+    if (s3Location) {
+        var s3;
 
-    function pullrequestBaseHandler(event) {
+        try {
+            s3 = requireAwsSdk('@aws-sdk/client-s3');
+        } catch (e) {
+            return parse(e);
+        }
 
-        /**
-         * Extracts the payload recieved from Bitbucket outgoing hooks.
-         *
-         * @param  {object} event Pull Request Event
-         * @return {object}       Data object mapped with key information
-         */
-        var extractPrData = function(event) {
+        sendAwsCommand(new s3.S3Client({}), new s3.GetObjectCommand({Bucket: s3Location[1], Key: s3Location[2]}),
+            function(err, output) {
+                if (err) {
+                    return parse(err);
+                }
 
-            console.info('Extracting Pull Request data');
+                output.Body.transformToString().then(function(contents) {
+                    setImmediate(parse, null, contents);
+                }, function(err) {
+                    setImmediate(parse, err);
+                });
+            });
+        return;
+    }
 
-            var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, event);
+    require('fs').readFile(source, 'utf8', parse);
+}
 
-            var data = {
-                prAuthor: getKey('pullrequest.author.display_name'),
-                prAuthorUsername: getKey('pullrequest.author.username'),
-                prUrl: getKey('pullrequest.links.html.href'),
-                prTitle: getKey('pullrequest.title'),
+/**
+ * Check a configuration for mistakes that would otherwise only surface while handling an event.
+ *
+ * @param  {object}   candidate  Configuration to check
+ * @return {string[]}            Description of every problem found
+ */
+function validateConfig(candidate) {
+    var errors = [];
 
-                actor: getKey('actor.display_name'),
-                actorUserName: getKey('actor.username'),
+    var isString = function(value) {
+        return typeof value === 'string';
+    };
 
-                repoName: getKey('pullrequest.source.repository.name'),
-                repoSourceName: getKey('pullrequest.source.branch.name'),
-                repoDestinationName: getKey('pullrequest.destination.branch.name'),
+    var isStringList = function(value) {
+        return isString(value) || Array.isArray(value) && value.every(isString);
+    };
 
-                reason: getKey('repository.reason'),
-                state: getKey('repository.state'),
-                description: getKey('repository.description'),
+    var isObject = function(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    };
 
-                commentUrl: getKey('comment.links.html.href'),
-                commentContentRaw: getKey('comment.content.raw'),
+    var validateTemplates = function(templates, name) {
+        if (!isObject(templates)) {
+            return errors.push(name + ' must map event keys to templates');
+        }
 
-                reviewers: getKey('pullrequest.reviewers')
-            };
+        Object.keys(templates).forEach(function(eventKey) {
+            var template = templates[eventKey],
+                prefix = name + '[' + eventKey + ']';
 
-            return data;
-        };
+            if (!isObject(template)) {
+                return errors.push(prefix + ' must be an object');
+            }
 
-        var data = extractPrData(event);
+            ['pretext', 'fallback', 'color', 'title'].forEach(function(key) {
+                if (template[key] !== undefined && !isString(template[key])) {
+                    errors.push(prefix + '.' + key + ' must be a string');
+                }
+            });
 
-        var result = {
-            link_names: 1,
-            mrkdwn: true,
-            attachments: [{
-                title: data.prTitle,
-                title_link: data.prUrl,
-                color: helper.COLORS.blue,
-                fields: [],
-                mrkdwn_in: ['pretext', 'fields']
-            }]
-        };
+            if (template.fields !== undefined && (!Array.isArray(template.fields) ||
+                !template.fields.every(function(field) {
+                    return isObject(field) && isString(field.title) && isString(field.value);
+                }))) {
+                errors.push(prefix + '.fields must be a list of {title, value} objects');
+            }
+        });
+    };
 
-        if (data.reason) {
-            result.attachments[0].fields.push({
-                title: 'Reason',
-                value: data.reason
-            });
-        }
+    if (!isString(candidate.slackPath)) {
+        errors.push('slackPath must be a string');
+    }
 
-        return {
-            data: data,
-            result: result
-        };
+    if (!isObject(candidate.users) || !Object.keys(candidate.users).every(function(key) {
+        return isString(candidate.users[key]);
+    })) {
+        errors.push('users must map Bitbucket users to Slack user IDs or usernames');
     }
 
-    //------------------------------
-    // Repo Event Base Formatting
-    //------------------------------
+    if (!Array.isArray(candidate.routes)) {
+        errors.push('routes must be a list');
+    } else {
+        candidate.routes.forEach(function(route, index) {
+            var name = 'routes[' + index + ']';
 
-    function repoBaseHandler(event) {
+            if (!isObject(route)) {
+                return errors.push(name + ' must be an object');
+            }
 
-        /**
-         * Extracts the payload recieved from Bitbucket outgoing hooks.
-         *
-         * @param  {object} event Repository Event
-         * @return {object}       Data object mapped with key information
-         */
-        var extractRepoData = function(event) {
+            ['repositories', 'branches', 'events', 'webhooks', 'channels'].forEach(function(key) {
+                if (route[key] !== undefined && !isStringList(route[key])) {
+                    errors.push(name + '.' + key + ' must be a string or a list of strings');
+                }
+            });
 
-            console.info('Extracting Push data');
+            if (!route.webhooks && !route.channels && !route.outputs) {
+                errors.push(name + ' must list webhooks, channels or outputs');
+            }
 
-            var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, event);
+            if (route.outputs !== undefined && !Array.isArray(route.outputs)) {
+                errors.push(name + '.outputs must be a list');
+            }
 
-            var data = {
-                actor: getKey('actor.display_name'),
-                repoName: getKey('repository.name'),
-                reason: getKey('repository.reason'),
-                state: getKey('repository.state'),
-                description: getKey('repository.description'),
-                commentUrl: getKey('comment.links.html.href'),
-                commentContentRaw: getKey('comment.content.raw'),
-            };
+            [].concat(Array.isArray(route.outputs) ? route.outputs : []).forEach(function(output, position) {
+                var outputName = name + '.outputs[' + position + ']';
 
-            var changes = event.push.changes,
-                pushInfo = changes && changes[0] ? changes[0].new || changes[0].old : undefined;
+                if (!isObject(output) || !OUTPUT_ADAPTERS.hasOwnProperty(output.type)) {
+                    errors.push(outputName + '.type must be one of ' + Object.keys(OUTPUT_ADAPTERS).join(', '));
+                } else if (!isString(output.url) || !/^https:\/\/[^\/]+/.test(output.url)) {
+                    errors.push(outputName + '.url must be an https URL');
+                } else if (output.card !== undefined && ['adaptive', 'message'].indexOf(output.card) < 0) {
+                    errors.push(outputName + '.card must be adaptive or message');
+                }
+            });
 
-            if (pushInfo) {
-                data.pushType = pushInfo.type;
-                data.pushTarget = pushInfo.name;
-                data.pushForced = changes[0].forced;
-                data.pushCommits = changes[0].commits;
+            if (route.channels && !candidate.slackBotToken) {
+                errors.push(name + '.channels requires slackBotToken');
             }
 
-            return data;
-        };
+            if (route.templates !== undefined) {
+                validateTemplates(route.templates, name + '.templates');
+            }
+        });
+    }
 
-        var data = extractRepoData(event);
+    validateTemplates(candidate.templates, 'templates');
 
-        var result = {
-            link_names: 1,
-            mrkdwn: true,
-            attachments: [{
-                color: helper.COLORS.blue,
-                fields: [],
-                mrkdwn_in: ['pretext', 'fields']
-            }]
-        };
+    if (!Array.isArray(candidate.filters)) {
+        errors.push('filters must be a list');
+    } else {
+        candidate.filters.forEach(function(filter, index) {
+            var name = 'filters[' + index + ']';
 
-        if (data.reason) {
-            result.attachments[0].fields.push({
-                title: 'Reason',
-                value: data.reason
+            if (!isObject(filter)) {
+                return errors.push(name + ' must be an object');
+            }
+
+            if (['drop', 'allow'].indexOf(filter.action) < 0) {
+                errors.push(name + '.action must be drop or allow');
+            }
+
+            ['events', 'repositories', 'branches', 'sourceBranches', 'actors', 'titles'].forEach(function(key) {
+                if (filter[key] !== undefined && !isStringList(filter[key])) {
+                    errors.push(name + '.' + key + ' must be a string or a list of strings');
+                }
             });
-        }
 
-        return {
-            data: data,
-            result: result
-        };
+            [].concat(isStringList(filter.titles) ? filter.titles : []).forEach(function(pattern) {
+                try {
+                    new RegExp(pattern);
+                } catch (e) {
+                    errors.push(name + '.titles has an invalid expression: ' + pattern);
+                }
+            });
+        });
     }
 
+    if (!isString(candidate.webhookSecret)) {
+        errors.push('webhookSecret must be a string');
+    }
 
-    //------------------------------
-    // Formatting gateway
-    //------------------------------
+    if (!Array.isArray(candidate.ipAllowlist) || !candidate.ipAllowlist.every(isString)) {
+        errors.push('ipAllowlist must be a list of strings');
+    }
 
-    var messageHandlers = {
+    if (!isString(candidate.slackBotToken) || !isString(candidate.slackChannel) ||
+        !isString(candidate.slackSigningSecret)) {
+        errors.push('slackBotToken, slackChannel and slackSigningSecret must be strings');
+    }
 
-        //----------------------------------
-        // Pull Request Handlers
-        // See also: https://confluence.atlassian.com/bitbucket/event-payloads-740262817.html#EventPayloads-PullRequestEvents
-        //-----------------------------------
+    if (Array.isArray(candidate.routes) && !candidate.routes.length) {
+        if (candidate.slackBotToken && !candidate.slackChannel) {
+            errors.push('slackChannel is required when slackBotToken is set without routes');
+        }
 
-        pullrequest: {
+        if (!candidate.slackBotToken && !/^\/services\//.test(candidate.slackPath)) {
+            errors.push('slackPath must be a Slack webhook path, eg /services/XXXXXXXXXXXXX/XXXXXXXXXXXX');
+        }
+    }
 
-            created: function(event) {
+    var store = candidate.threadStore;
 
-                var prInfo = pullrequestBaseHandler(event),
-                    data = prInfo.data,
-                    result = prInfo.result;
+    if (!isObject(store) || ['memory', 'file', 'dynamodb'].indexOf(store.type) < 0 &&
+        (typeof store.get !== 'function' || typeof store.set !== 'function')) {
+        errors.push('threadStore.type must be memory, file or dynamodb');
+    } else if (store.type === 'file' && !isString(store.path)) {
+        errors.push('threadStore.path is required for the file store');
+    } else if (store.type === 'dynamodb' && !isString(store.table)) {
+        errors.push('threadStore.table is required for the dynamodb store');
+    }
+
+    if (!isObject(candidate.colors) || !['red', 'green', 'blue', 'yellow'].every(function(color) {
+        return isString(candidate.colors[color]);
+    })) {
+        errors.push('colors must define red, green, blue and yellow');
+    }
+
+    if (!isObject(candidate.delivery) || !['retries', 'baseDelay', 'maxDelay', 'timeout'].every(function(key) {
+        return typeof candidate.delivery[key] === 'number' && candidate.delivery[key] >= 0;
+    })) {
+        errors.push('delivery.retries, baseDelay, maxDelay and timeout must be numbers of zero or more');
+    } else if (!isString(candidate.delivery.deadLetterQueueUrl)) {
+        errors.push('delivery.deadLetterQueueUrl must be a string');
+    }
+
+    if (!isObject(candidate.deduplication) || !['requestTtl', 'debounceWindow'].every(function(key) {
+        return typeof candidate.deduplication[key] === 'number' && candidate.deduplication[key] >= 0;
+    })) {
+        errors.push('deduplication.requestTtl and debounceWindow must be numbers of zero or more');
+    }
+
+    var api = candidate.bitbucketApi;
+
+    if (!isObject(api) || !['username', 'appPassword', 'token'].every(function(key) {
+        return isString(api[key]);
+    }) && !isBitbucketClient(api)) {
+        errors.push('bitbucketApi.username, appPassword and token must be strings');
+    }
+
+    var digest = candidate.digest;
+
+    if (!isObject(digest)) {
+        errors.push('digest must be an object');
+    } else {
+        if (['', 'events', 'api'].indexOf(digest.source) < 0) {
+            errors.push('digest.source must be events or api, or empty');
+        }
+
+        ['repositories', 'webhooks', 'channels'].forEach(function(key) {
+            if (!isStringList(digest[key])) {
+                errors.push('digest.' + key + ' must be a string or a list of strings');
+            }
+        });
+
+        if (typeof digest.staleDays !== 'number' || digest.staleDays < 0) {
+            errors.push('digest.staleDays must be a number of zero or more');
+        }
+
+        if (digest.source === 'api' && ![].concat(digest.repositories || []).length) {
+            errors.push('digest.repositories are required for the api source');
+        }
+
+        if (digest.source === 'api' && isObject(api) && !api.token && !(api.username && api.appPassword) &&
+            !isBitbucketClient(api)) {
+            errors.push('digest.source api requires bitbucketApi.token, or username and appPassword');
+        }
+
+        if ([].concat(digest.channels || []).length && !candidate.slackBotToken) {
+            errors.push('digest.channels require slackBotToken');
+        }
+    }
+
+    var directMessages = candidate.directMessages,
+        notificationKinds = ['reviewerAdded'].concat(Object.keys(AUTHOR_NOTIFICATIONS).map(function(eventKey) {
+            return AUTHOR_NOTIFICATIONS[eventKey];
+        }));
+
+    var isNotificationList = function(value) {
+        return Array.isArray(value) && value.every(function(kind) {
+            return notificationKinds.indexOf(kind) > -1;
+        });
+    };
+
+    if (!isObject(directMessages)) {
+        errors.push('directMessages must be an object');
+    } else {
+        if (typeof directMessages.enabled !== 'boolean') {
+            errors.push('directMessages.enabled must be true or false');
+        } else if (directMessages.enabled && !candidate.slackBotToken) {
+            errors.push('directMessages require slackBotToken');
+        }
+
+        if (!isNotificationList(directMessages.events)) {
+            errors.push('directMessages.events must be a list of ' + notificationKinds.join(', '));
+        }
+
+        if (!isObject(directMessages.users) || !Object.keys(directMessages.users).every(function(user) {
+            return isNotificationList(directMessages.users[user]);
+        })) {
+            errors.push('directMessages.users must map users to lists of ' + notificationKinds.join(', '));
+        }
+    }
+
+    var buildStatus = candidate.buildStatus;
+
+    if (!isObject(buildStatus)) {
+        errors.push('buildStatus must be an object');
+    } else {
+        if (!isStringList(buildStatus.protectedBranches)) {
+            errors.push('buildStatus.protectedBranches must be a string or a list of strings');
+        }
+
+        if (!isString(buildStatus.escalationColor) || !isString(buildStatus.mention)) {
+            errors.push('buildStatus.escalationColor and mention must be strings');
+        }
+    }
+
+    var slackActions = candidate.slackActions;
+
+    if (!isObject(slackActions)) {
+        errors.push('slackActions must be an object');
+    } else {
+        if (typeof slackActions.enabled !== 'boolean') {
+            errors.push('slackActions.enabled must be true or false');
+        } else if (slackActions.enabled && !candidate.slackSigningSecret) {
+            errors.push('slackActions require slackSigningSecret');
+        }
+
+        if (!isObject(slackActions.credentials) || !Object.keys(slackActions.credentials).every(function(user) {
+            var credentials = slackActions.credentials[user];
+
+            return isObject(credentials) && (isString(credentials.token) ||
+                isString(credentials.username) && isString(credentials.appPassword));
+        })) {
+            errors.push('slackActions.credentials must map users to a token, or a username and appPassword');
+        }
+    }
+
+    var slackCommands = candidate.slackCommands;
+
+    if (!isObject(slackCommands)) {
+        errors.push('slackCommands must be an object');
+    } else {
+        if (typeof slackCommands.enabled !== 'boolean') {
+            errors.push('slackCommands.enabled must be true or false');
+        } else if (slackCommands.enabled && !candidate.slackSigningSecret) {
+            errors.push('slackCommands require slackSigningSecret');
+        } else if (slackCommands.enabled && isObject(api) && !api.token && !(api.username && api.appPassword) &&
+            !isBitbucketClient(api)) {
+            errors.push('slackCommands require bitbucketApi.token, or username and appPassword');
+        }
+
+        if (!isStringList(slackCommands.repositories)) {
+            errors.push('slackCommands.repositories must be a string or a list of strings');
+        }
+    }
+
+    var logging = candidate.logging;
+
+    if (!isObject(logging)) {
+        errors.push('logging must be an object');
+    } else {
+        if (['json', 'text'].indexOf(logging.format) < 0) {
+            errors.push('logging.format must be json or text');
+        }
+
+        if (!LOG_LEVELS.hasOwnProperty(logging.level)) {
+            errors.push('logging.level must be one of ' + Object.keys(LOG_LEVELS).join(', '));
+        }
+
+        if (typeof logging.redactComments !== 'boolean') {
+            errors.push('logging.redactComments must be true or false');
+        }
+
+        if (!isString(logging.metricsNamespace)) {
+            errors.push('logging.metricsNamespace must be a string');
+        }
+    }
+
+    if (typeof candidate.pushCommitLimit !== 'number' || candidate.pushCommitLimit < 1) {
+        errors.push('pushCommitLimit must be a number of 1 or more');
+    }
+
+    if (['message', 'ignore'].indexOf(candidate.unrecognizedEvents) < 0) {
+        errors.push('unrecognizedEvents must be message or ignore');
+    }
+
+    if (['attachments', 'blocks'].indexOf(candidate.messageFormat) < 0) {
+        errors.push('messageFormat must be attachments or blocks');
+    }
+
+    if (!isObject(candidate.featureSwitch)) {
+        errors.push('featureSwitch must be an object');
+    } else {
+        ['mentionReviewers', 'lookupUsersByEmail'].forEach(function(key) {
+            if (typeof candidate.featureSwitch[key] !== 'boolean') {
+                errors.push('featureSwitch.' + key + ' must be true or false');
+            }
+        });
+
+        if (candidate.featureSwitch.lookupUsersByEmail && !candidate.slackBotToken) {
+            errors.push('featureSwitch.lookupUsersByEmail requires slackBotToken');
+        }
+    }
+
+    return errors;
+}
+
+var configLoaded = false,
+    configCallbacks = [];
+
+/**
+ * Build and validate the configuration once per Lambda container, from the inline values, the `CONFIG_SOURCE`
+ * document and the environment. Concurrent callers wait for the same load; a failed load is retried next time.
+ *
+ * @param  {function} callback  Invoked with an error once `config` is ready
+ */
+function loadConfig(callback) {
+
+    if (configLoaded) {
+        return callback(null);
+    }
+
+    configCallbacks.push(callback);
+
+    if (configCallbacks.length > 1) {
+        return;
+    }
+
+    var finish = function(err) {
+        var callbacks = configCallbacks;
+
+        configCallbacks = [];
+        configLoaded = !err;
+
+        callbacks.forEach(function(waiting) {
+            waiting(err);
+        });
+    };
+
+    var apply = function(err, documentConfig) {
+        if (err) {
+            logger.error('Configuration could not be loaded', {error: err.message});
+            return finish(err);
+        }
+
+        var candidate;
+
+        try {
+            candidate = mergeConfig(mergeConfig(defaultConfig(), documentConfig), readEnvironmentConfig(process.env));
+        } catch (e) {
+            return apply(e);
+        }
+
+        var errors = validateConfig(candidate);
+
+        if (errors.length) {
+            return apply(new Error('Invalid configuration: ' + errors.join('; ')));
+        }
+
+        config = candidate;
+        threadStore = undefined;
+        bitbucketClient = undefined;
+
+        logger.info('Configuration loaded', {source: process.env.CONFIG_SOURCE});
+        finish(null);
+    };
+
+    if (process.env.CONFIG_SOURCE) {
+        readConfigDocument(process.env.CONFIG_SOURCE, apply);
+    } else {
+        apply(null, {});
+    }
+}
+
+
+
+//------------------------------
+// Logging & Metrics
+//------------------------------
+
+// Severity of the log levels; entries below `config.logging.level` are left out
+var LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+// Units of the metrics written by `putMetrics`
+var METRIC_UNITS = {
+    Events: 'Count',
+    ProcessingTime: 'Milliseconds',
+    Deliveries: 'Count',
+    DeliveryFailures: 'Count',
+    DeliveryLatency: 'Milliseconds'
+};
+
+// What is known of the invocation being processed: its `correlationId`, `eventKey`, `repository`, `outcome` and
+// when it `startedAt`. Added to every log entry and metric, and replaced per invocation by `startTrace`.
+var trace = {};
+
+
+/**
+ * Start tracing an invocation.
+ *
+ * @param  {string} correlationId  X-Request-UUID of the webhook, or the Lambda request ID
+ */
+function startTrace(correlationId) {
+    trace = {correlationId: correlationId, startedAt: Date.now()};
+}
+
+/**
+ * Record what became known of the invocation, eg its `eventKey` once normalized or the `outcome` of a webhook that
+ * was not delivered.
+ *
+ * @param  {object} details  Values to record
+ */
+function annotateTrace(details) {
+    Object.keys(details).forEach(function(key) {
+        if (details[key] !== undefined) {
+            trace[key] = details[key];
+        }
+    });
+}
+
+/**
+ * Write a log entry, as a JSON object carrying the trace of the invocation or as a plain line.
+ *
+ * @param  {string} level    debug, info, warn or error
+ * @param  {string} message  What happened
+ * @param  {object} details  Values describing it, if any
+ */
+function writeLog(level, message, details) {
+    var settings = config.logging;
+
+    if (LOG_LEVELS[level] < LOG_LEVELS[settings.level]) {
+        return;
+    }
+
+    if (settings.format === 'text') {
+        console[level](message + (details ? ' ' + JSON.stringify(details) : ''));
+        return;
+    }
+
+    var entry = {
+        timestamp: new Date().toISOString(),
+        level: level,
+        message: message,
+        correlationId: trace.correlationId,
+        eventKey: trace.eventKey,
+        repository: trace.repository
+    };
+
+    Object.keys(details || {}).forEach(function(key) {
+        entry[key] = details[key];
+    });
+
+    console[level](JSON.stringify(entry));
+}
+
+// Writes log entries by level, eg logger.warn('Could not debounce', {key: key, error: err.message})
+var logger = {
+    debug: writeLog.bind(null, 'debug'),
+    info: writeLog.bind(null, 'info'),
+    warn: writeLog.bind(null, 'warn'),
+    error: writeLog.bind(null, 'error')
+};
+
+/**
+ * Write metrics as a CloudWatch Embedded Metric Format record, along with the correlation id of the invocation.
+ * Dimension sets missing any of their values are left out.
+ *
+ * @param  {object}     metrics        Values keyed by the metric names of `METRIC_UNITS`
+ * @param  {object}     dimensions     Dimension values keyed by name
+ * @param  {string[][]} dimensionSets  Combinations of dimensions to aggregate the metrics by
+ */
+function putMetrics(metrics, dimensions, dimensionSets) {
+    var namespace = config.logging.metricsNamespace;
+
+    if (!namespace) {
+        return;
+    }
+
+    var record = {
+        _aws: {
+            Timestamp: Date.now(),
+            CloudWatchMetrics: [{
+                Namespace: namespace,
+                Dimensions: dimensionSets.filter(function(set) {
+                    return set.every(function(name) {
+                        return !!dimensions[name];
+                    });
+                }),
+                Metrics: Object.keys(metrics).map(function(name) {
+                    return {Name: name, Unit: METRIC_UNITS[name]};
+                })
+            }]
+        },
+        correlationId: trace.correlationId
+    };
+
+    Object.keys(dimensions).forEach(function(name) {
+        if (dimensions[name]) {
+            record[name] = String(dimensions[name]);
+        }
+    });
+
+    Object.keys(metrics).forEach(function(name) {
+        record[name] = metrics[name];
+    });
+
+    console.log(JSON.stringify(record));
+}
+
+/**
+ * Log how an invocation ended and count it by outcome, event key and repository. The outcome is `delivered`,
+ * `rejected` or `failed` by the status code, unless annotated as eg `dropped` or `duplicate`. Failed webhooks are
+ * logged with their payload.
+ *
+ * @param  {number} statusCode  HTTP status code of the response
+ * @param  {string} message     Response message
+ * @param  {object} request     The parsed request
+ */
+function finishTrace(statusCode, message, request) {
+    var outcome = statusCode >= 500 ? 'failed' : trace.outcome || (statusCode >= 400 ? 'rejected' : 'delivered'),
+        durationMs = trace.startedAt ? Date.now() - trace.startedAt : undefined,
+        details = {outcome: outcome, statusCode: statusCode, durationMs: durationMs, response: message};
+
+    if (statusCode >= 500 && request.payload !== undefined) {
+        details.payload = redactComments(request.payload);
+    }
+
+    logger[statusCode >= 500 ? 'error' : statusCode >= 400 ? 'warn' : 'info']('Invocation finished', details);
+
+    putMetrics({Events: 1, ProcessingTime: durationMs || 0}, {
+        Outcome: outcome,
+        EventKey: trace.eventKey,
+        Repository: trace.repository
+    }, [['Outcome'], ['EventKey', 'Outcome'], ['Repository', 'Outcome']]);
+}
+
+/**
+ * Hide where a delivery goes, as the paths of Slack webhooks and the URLs of other webhooks are secrets.
+ *
+ * @param  {string} target  Slack webhook path, channel ID or output URL
+ * @return {string}         The target, fit for logging
+ */
+function maskTarget(target) {
+    return String(target)
+        .replace(/^(https:\/\/[^\/]+).*$/, '$1/***')
+        .replace(/^(\/services\/[^\/]+\/[^\/]+\/).+$/, '$1***');
+}
+
+/**
+ * Hide most of an email address, keeping enough of it to tell which user a log entry is about.
+ *
+ * @param  {string} email  Email address
+ * @return {string}        The address, fit for logging, eg j***@example.com
+ */
+function maskEmail(email) {
+    return String(email).replace(/^([^@])[^@]*@/, '$1***@');
+}
+
+/**
+ * Copy a webhook payload for logging, with the text of its comments replaced when `redactComments` is set. Covers
+ * the `content` of Bitbucket Cloud comments and the `text` of Bitbucket Server ones, including their replies.
+ *
+ * @param  {object} payload  Payload of the webhook HTTP request
+ * @return {object}          The payload, fit for logging
+ */
+function redactComments(payload) {
+
+    if (!config.logging.redactComments) {
+        return payload;
+    }
+
+    var redact = function(value, inComment) {
+        if (Array.isArray(value)) {
+            return value.map(function(item) {
+                return redact(item, inComment);
+            });
+        }
+
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        var copy = {};
+
+        Object.keys(value).forEach(function(key) {
+            var isComment = /comment/i.test(key);
+
+            if (inComment && ['content', 'text'].indexOf(key) > -1 || isComment && typeof value[key] === 'string') {
+                copy[key] = '[redacted]';
+            } else {
+                copy[key] = redact(value[key], inComment || isComment);
+            }
+        });
+
+        return copy;
+    };
+
+    return redact(payload, false);
+}
+
+
+
+//------------------------------
+// Request Verification
+//------------------------------
+
+// Slack requests signed longer ago than this many seconds are rejected, so that recorded ones cannot be replayed
+var SLACK_REQUEST_MAX_AGE = 300;
+
+
+/**
+ * Check the `X-Hub-Signature` header against an HMAC-SHA256 of the raw request body.
+ *
+ * @param  {string}  rawBody    Request body exactly as sent by Bitbucket
+ * @param  {string}  signature  Header value, eg sha256=0123abcd...
+ * @return {boolean}            Whether the signature was produced with the webhook secret
+ */
+function verifySignature(rawBody, signature) {
+    var match = /^sha256=([0-9a-f]{64})$/i.exec(signature || '');
+
+    if (!match) {
+        return false;
+    }
+
+    var expected = crypto.createHmac('sha256', config.webhookSecret).update(rawBody).digest(),
+        received = Buffer.from(match[1], 'hex');
+
+    return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Check that a request was signed by Slack with `SLACK_SIGNING_SECRET` within the last `SLACK_REQUEST_MAX_AGE`
+ * seconds, following https://api.slack.com/authentication/verifying-requests-from-slack
+ *
+ * @param  {object} request  The parsed request, with its `slack` details
+ * @return {string}          The reason to reject the request, if any
+ */
+function authenticateSlackRequest(request) {
+    var timestamp = Number(request.slack.timestamp),
+        match = /^v0=([0-9a-f]{64})$/i.exec(request.slack.signature || '');
+
+    if (!config.slackSigningSecret) {
+        return 'Slack requests are not accepted without a signing secret';
+    }
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SLACK_REQUEST_MAX_AGE) {
+        return 'Slack request is too old';
+    }
+
+    if (!match) {
+        return 'Missing Slack signature';
+    }
+
+    var expected = crypto.createHmac('sha256', config.slackSigningSecret)
+        .update('v0:' + request.slack.timestamp + ':')
+        .update(request.rawBody)
+        .digest();
+
+    if (!crypto.timingSafeEqual(expected, Buffer.from(match[1], 'hex'))) {
+        return 'Invalid Slack signature';
+    }
+}
+
+/**
+ * Convert a dotted IPv4 address into an unsigned integer.
+ *
+ * @param  {string} address  IPv4 address, eg 104.192.136.1
+ * @return {number}          Numeric address, or NaN when the address is not IPv4
+ */
+function ipv4ToNumber(address) {
+    var octets = String(address).split('.');
+
+    if (octets.length !== 4) {
+        return NaN;
+    }
+
+    return octets.reduce(function(total, octet) {
+        var value = /^\d{1,3}$/.test(octet) ? parseInt(octet, 10) : NaN;
+        return value > 255 ? NaN : total * 256 + value;
+    }, 0);
+}
+
+/**
+ * Determine whether the calling address is covered by the configured allowlist. IPv6 entries are compared as-is.
+ *
+ * @param  {string}  sourceIp  Address the request came from
+ * @return {boolean}           Whether the address is allowed
+ */
+function isAllowedSourceIp(sourceIp) {
+    var address = String(sourceIp || '').replace(/^::ffff:/i, ''),
+        numeric = ipv4ToNumber(address);
+
+    return config.ipAllowlist.some(function(entry) {
+        var parts = String(entry).split('/'),
+            bits = parts.length > 1 ? parseInt(parts[1], 10) : 32,
+            base = ipv4ToNumber(parts[0]);
+
+        if (isNaN(base) || isNaN(numeric)) {
+            return entry === address;
+        }
+
+        var size = Math.pow(2, 32 - bits);
+        return Math.floor(numeric / size) === Math.floor(base / size);
+    });
+}
+
+/**
+ * Verify an incoming request was sent by Bitbucket, according to the configured secret and allowlist.
+ *
+ * @param  {object} request  The request read by `parseRequest`
+ * @return {string}          Reason the request was rejected, or undefined when it may be processed
+ */
+function authenticateRequest(request) {
+
+    if (config.ipAllowlist.length && !isAllowedSourceIp(request.sourceIp)) {
+        return 'Source IP is not allowed: ' + request.sourceIp;
+    }
+
+    if (config.webhookSecret) {
+        if (!request.rawBody || !request.rawBody.length || !request.signature) {
+            return 'Missing webhook signature';
+        }
+
+        if (!verifySignature(request.rawBody, request.signature)) {
+            return 'Invalid webhook signature';
+        }
+    }
+}
+
+
+
+//------------------------------
+// Bitbucket Server Normalization
+//------------------------------
+
+// Bitbucket Server / Data Center event keys and the Bitbucket Cloud event they are rendered as.
+// See also: https://confluence.atlassian.com/bitbucketserver/event-payload-938025882.html
+var SERVER_EVENT_KEYS = {
+    'pr:opened': 'pullrequest:created',
+    'pr:modified': 'pullrequest:updated',
+    'pr:from_ref_updated': 'pullrequest:updated',
+    'pr:merged': 'pullrequest:fulfilled',
+    'pr:declined': 'pullrequest:rejected',
+    'pr:reviewer:approved': 'pullrequest:approved',
+    'pr:reviewer:unapproved': 'pullrequest:unapproved',
+    'pr:reviewer:needs_work': 'pullrequest:changes_request_created',
+    'pr:comment:added': 'pullrequest:comment_created',
+    'pr:comment:edited': 'pullrequest:comment_updated',
+    'pr:comment:deleted': 'pullrequest:comment_deleted',
+    'repo:refs_changed': 'repo:push'
+};
+
+
+/**
+ * Determine whether a webhook was sent by Bitbucket Server rather than Bitbucket Cloud. Server payloads repeat
+ * their event key in the body and use camel-cased `pullRequest` objects.
+ *
+ * @param  {object}  data      Payload of the webhook HTTP request
+ * @param  {string}  eventKey  Event-Key identified by webhook HTTP header
+ * @return {boolean}           Whether the payload has the Bitbucket Server shape
+ */
+function isServerEvent(data, eventKey) {
+    return SERVER_EVENT_KEYS.hasOwnProperty(eventKey) ||
+        !!data && (typeof data.eventKey === 'string' || data.pullRequest !== undefined);
+}
+
+/**
+ * Map a Bitbucket Server user onto the Bitbucket Cloud user shape.
+ *
+ * @param  {object} user  Server user, eg `actor` or `pullRequest.author.user`
+ * @return {object}       Cloud-shaped user
+ */
+function normalizeServerUser(user) {
+    if (!user) {
+        return undefined;
+    }
+
+    return {
+        username: user.name,
+        nickname: user.slug,
+        display_name: user.displayName,
+        email: user.emailAddress
+    };
+}
+
+/**
+ * Map a Bitbucket Server repository onto the Bitbucket Cloud repository shape.
+ *
+ * @param  {object} repository  Server repository
+ * @return {object}             Cloud-shaped repository
+ */
+function normalizeServerRepository(repository) {
+    if (!repository) {
+        return undefined;
+    }
+
+    var projectKey = helper.getPossiblyUndefinedKeyValue(repository, 'project.key');
+
+    return {
+        name: repository.name,
+        full_name: projectKey ? projectKey + '/' + repository.slug : repository.slug,
+        links: {
+            html: {href: helper.getPossiblyUndefinedKeyValue(repository, 'links.self.0.href')}
+        }
+    };
+}
+
+/**
+ * Map a Bitbucket Server pull-request onto the Bitbucket Cloud pull-request shape.
+ *
+ * @param  {object} pullRequest  Server pull-request
+ * @return {object}              Cloud-shaped pull-request
+ */
+function normalizeServerPullRequest(pullRequest) {
+    if (!pullRequest) {
+        return undefined;
+    }
+
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, pullRequest);
+
+    var normalizeRef = function(ref) {
+        return {
+            branch: {name: ref && ref.displayId},
+            commit: {hash: ref && ref.latestCommit},
+            repository: normalizeServerRepository(ref && ref.repository)
+        };
+    };
+
+    var normalizeParticipant = function(participant) {
+        return {
+            user: normalizeServerUser(participant.user),
+            role: participant.role === 'REVIEWER' ? 'REVIEWER' : 'PARTICIPANT',
+            approved: !!participant.approved
+        };
+    };
+
+    var reviewers = [].concat(pullRequest.reviewers || []).filter(Boolean);
+
+    return {
+        id: pullRequest.id,
+        title: pullRequest.title,
+        description: pullRequest.description,
+        state: pullRequest.state,
+        author: normalizeServerUser(getKey('author.user')),
+        reviewers: reviewers.map(function(reviewer) {
+            return normalizeServerUser(reviewer.user);
+        }),
+        participants: reviewers.concat(pullRequest.participants || []).filter(Boolean).map(normalizeParticipant),
+        created_on: pullRequest.createdDate && new Date(pullRequest.createdDate).toISOString(),
+        updated_on: pullRequest.updatedDate && new Date(pullRequest.updatedDate).toISOString(),
+        source: normalizeRef(pullRequest.fromRef),
+        destination: normalizeRef(pullRequest.toRef),
+        links: {
+            html: {href: getKey('links.self.0.href')}
+        }
+    };
+}
+
+/**
+ * Map a Bitbucket Server `repo:refs_changed` change onto a Bitbucket Cloud `push.changes` entry. Server does not
+ * include commits or report forced updates, so neither is set.
+ *
+ * @param  {object} change  Server ref change
+ * @return {object}         Cloud-shaped push change
+ */
+function normalizeServerRefChange(change) {
+    var type = String(helper.getPossiblyUndefinedKeyValue(change, 'ref.type') || 'BRANCH').toLowerCase(),
+        name = helper.getPossiblyUndefinedKeyValue(change, 'ref.displayId');
+
+    return {
+        new: change.type === 'DELETE' ? null : {type: type, name: name, target: {hash: change.toHash}},
+        old: change.type === 'ADD' ? null : {type: type, name: name, target: {hash: change.fromHash}},
+        created: change.type === 'ADD',
+        closed: change.type === 'DELETE',
+        forced: false
+    };
+}
+
+/**
+ * Translate a Bitbucket Server webhook into the equivalent Bitbucket Cloud event, so that the same extractors and
+ * message handlers apply to both. Cloud payloads are returned untouched.
+ *
+ * @param  {object} data      Payload of the webhook HTTP request
+ * @param  {string} eventKey  Event-Key identified by webhook HTTP header
+ * @return {object}           The Cloud-shaped `payload` and `eventKey`
+ */
+function normalizeEvent(data, eventKey) {
+
+    if (!isServerEvent(data, eventKey)) {
+        return {payload: data, eventKey: eventKey};
+    }
+
+    // left for `validateEvent` to report
+    if (!data || typeof data !== 'object') {
+        return {payload: data, eventKey: SERVER_EVENT_KEYS[eventKey] || eventKey};
+    }
+
+    eventKey = eventKey || data.eventKey;
+
+    logger.debug('Normalizing Bitbucket Server event', {serverEventKey: eventKey});
+
+    var pullrequest = normalizeServerPullRequest(data.pullRequest),
+        payload = {
+            actor: normalizeServerUser(data.actor),
+            repository: normalizeServerRepository(data.repository) ||
+                (pullrequest ? pullrequest.destination.repository : undefined)
+        };
+
+    if (pullrequest) {
+        payload.pullrequest = pullrequest;
+    }
+
+    if (data.comment) {
+        var commentLinks = function(commentId) {
+            return {
+                html: {href: pullrequest && pullrequest.links.html.href ?
+                    pullrequest.links.html.href + '/overview?commentId=' + commentId : undefined}
+            };
+        };
+
+        payload.comment = {
+            id: data.comment.id,
+            content: {raw: data.comment.text},
+            user: normalizeServerUser(data.comment.author),
+            parent: data.commentParentId ? {id: data.commentParentId, links: commentLinks(data.commentParentId)} :
+                undefined,
+            links: commentLinks(data.comment.id)
+        };
+    }
+
+    if (Array.isArray(data.changes)) {
+        payload.push = {
+            changes: data.changes.filter(Boolean).map(normalizeServerRefChange)
+        };
+    }
+
+    return {
+        payload: payload,
+        eventKey: SERVER_EVENT_KEYS[eventKey] || eventKey
+    };
+}
+
+
+
+//------------------------------
+// Payload Validation
+//------------------------------
+
+// The events a message is built for, by context of the event key
+var SUPPORTED_EVENTS = {
+    pullrequest: [
+        'created',
+        'updated',
+        'rejected',
+        'fulfilled',
+        'approved',
+        'unapproved',
+        'changes_request_created',
+        'changes_request_removed',
+        'comment_created',
+        'comment_updated',
+        'comment_deleted'
+    ],
+    repo: [
+        'push',
+        'fork',
+        'commit_comment_created',
+        'commit_status_created',
+        'commit_status_updated'
+    ],
+    issue: [
+        'created',
+        'updated',
+        'comment_created'
+    ]
+};
+
+// What the Cloud-shaped payload of an event has to carry for its message, by event key pattern (see
+// `globToRegExp`). Every matching schema applies. Keys are dotted paths and a type ending in `?` is only checked when
+// the value is present; anything else is optional, and the message handlers do without it.
+var EVENT_SCHEMAS = {
+    'pullrequest:*': {
+        'pullrequest': 'object',
+        'pullrequest.id': 'number',
+        'pullrequest.title': 'string',
+        'pullrequest.reviewers': 'array?',
+        'pullrequest.participants': 'array?'
+    },
+    'pullrequest:comment_*': {
+        'comment': 'object'
+    },
+    'repo:*': {
+        'repository': 'object',
+        'repository.name': 'string'
+    },
+    'repo:push': {
+        'push': 'object',
+        'push.changes': 'array'
+    },
+    'repo:fork': {
+        'fork': 'object'
+    },
+    'repo:commit_comment_created': {
+        'comment': 'object'
+    },
+    'repo:commit_status_*': {
+        'commit_status': 'object'
+    },
+    'issue:*': {
+        'issue': 'object',
+        'issue.id': 'number',
+        'issue.title': 'string',
+        'changes': 'object?'
+    },
+    'issue:comment_created': {
+        'comment': 'object'
+    }
+};
+
+
+/**
+ * @param  {string}  eventKey  Event-Key identified by webhook HTTP header
+ * @return {boolean}           Whether a message is built for the event
+ */
+function isSupportedEvent(eventKey) {
+    var parts = /^([^:]+):(.+)$/.exec(eventKey || '');
+
+    return !!parts && SUPPORTED_EVENTS.hasOwnProperty(parts[1]) && SUPPORTED_EVENTS[parts[1]].indexOf(parts[2]) > -1;
+}
+
+/**
+ * Check a Cloud-shaped payload against the schemas of its event, so that events without a message of their own and
+ * payloads missing what their message is built from are reported instead of failing halfway.
+ *
+ * @param  {object} data      Cloud-shaped payload of the webhook HTTP request
+ * @param  {string} eventKey  Event-Key identified by webhook HTTP header
+ * @return {object}           The problem found, as its `kind` (unsupported or malformed) and `reason`, or
+ *                            undefined for a valid payload
+ */
+function validateEvent(data, eventKey) {
+
+    if (!isSupportedEvent(eventKey)) {
+        return {kind: 'unsupported', reason: eventKey ? 'no message is defined for this event' : 'no event key given'};
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return {kind: 'malformed', reason: 'the payload is not an object'};
+    }
+
+    var matchesType = function(value, type) {
+        switch (type) {
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return !!value && typeof value === 'object' && !Array.isArray(value);
+            default:
+                return typeof value === type;
+        }
+    };
+
+    var problems = [],
+        invalid = [];
+
+    Object.keys(EVENT_SCHEMAS).forEach(function(pattern) {
+        if (!globToRegExp(pattern).test(eventKey)) {
+            return;
+        }
+
+        var schema = EVENT_SCHEMAS[pattern];
+
+        Object.keys(schema).forEach(function(key) {
+            var type = schema[key].replace(/\?$/, ''),
+                optional = type !== schema[key],
+                value = helper.getPossiblyUndefinedKeyValue(data, key);
+
+            // a missing object is reported once, not once more for each of its keys
+            var reported = invalid.some(function(parent) {
+                return key.indexOf(parent + '.') === 0;
+            });
+
+            if (!reported && (value === undefined ? !optional : !matchesType(value, type))) {
+                invalid.push(key);
+                problems.push(value === undefined ? 'missing ' + key : key + ' is not ' + (type === 'array' ?
+                    'a list' : type === 'object' ? 'an object' : 'a ' + type));
+            }
+        });
+    });
+
+    return problems.length ? {kind: 'malformed', reason: problems.join(', ')} : undefined;
+}
+
+/**
+ * Build the generic message posted in place of one that could not be built from the event, naming the event, the
+ * repository and the problem.
+ *
+ * @param  {object} event    The Cloud-shaped `payload` and `eventKey`
+ * @param  {object} problem  Problem reported by `validateEvent`
+ * @return {object}          The `notification` to deliver, and the (empty) `data` it was built from
+ */
+function generateFallbackMessage(event, problem) {
+
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, event.payload),
+        repository = getKey('repository') || getKey('pullrequest.destination.repository') || {},
+        repoName = typeof repository.name === 'string' ? repository.name : 'Bitbucket',
+        actor = getKey('actor.display_name');
+
+    var message = {
+        link_names: 1,
+        mrkdwn: true,
+        attachments: [{
+            fallback: repoName + ': Unrecognized Event ' + (event.eventKey || ''),
+            pretext: '_' + helper.escapeMrkdwn(repoName) + ': *Unrecognized Event*_',
+            title: typeof repository.full_name === 'string' ? repository.full_name : undefined,
+            title_link: helper.getPossiblyUndefinedKeyValue(repository, 'links.html.href'),
+            color: config.colors.yellow,
+            fields: [{
+                title: 'Event',
+                value: helper.escapeMrkdwn(event.eventKey || 'none'),
+                short: true
+            }],
+            mrkdwn_in: ['pretext', 'fields']
+        }]
+    };
+
+    if (typeof actor === 'string') {
+        message.attachments[0].fields.push({
+            title: 'Triggered By',
+            value: helper.escapeMrkdwn(actor),
+            short: true
+        });
+    }
+
+    message.attachments[0].fields.push({
+        title: 'Reason',
+        value: helper.escapeMrkdwn(problem.reason),
+        short: false
+    });
+
+    return {
+        notification: createNotification(message, event.payload),
+        data: {}
+    };
+}
+
+/**
+ * Report an event that no message could be built for, as configured by `UNRECOGNIZED_EVENTS`: with the generic
+ * message of `generateFallbackMessage` wherever the event is routed, or only in the logs. Either way the webhook is
+ * answered with a 2xx, as retrying it would not help.
+ *
+ * @param  {object} event       The Cloud-shaped `payload` and `eventKey`
+ * @param  {object} problem     Problem reported by `validateEvent`, or found while building the message
+ * @param  {object} invocation  Invocation created by `createInvocation`
+ */
+function handleUnrecognizedEvent(event, problem, invocation) {
+
+    var description = problem.kind + ' eventKey ' + event.eventKey + ': ' + problem.reason;
+
+    annotateTrace({outcome: problem.kind});
+    logger.warn('Unrecognized event', {kind: problem.kind, reason: problem.reason});
+
+    if (config.unrecognizedEvents === 'ignore') {
+        invocation.succeed('Ignored ' + description);
+        return;
+    }
+
+    var decision = filterEvent(event.payload, event.eventKey);
+
+    if (!decision.allowed) {
+        invocation.succeed('Dropped eventKey ' + event.eventKey + ' by ' + decision.reason);
+        return;
+    }
+
+    var targets = routeEvent(event.payload, event.eventKey);
+
+    if (!targets.webhooks.length && !targets.channels.length && !targets.outputs.length) {
+        invocation.succeed('No route matched ' + description);
+        return;
+    }
+
+    // templates are written for the messages of supported events, not for this one
+    Object.keys(targets.templates).forEach(function(target) {
+        targets.templates[target] = {};
+    });
+
+    sendNotification(generateFallbackMessage(event, problem), targets, event, invocation);
+}
+
+
+
+//------------------------------
+// Formatting Helpers
+//------------------------------
+
+var helper = {
+
+    capitalize: function(string) {
+        string = String(string || '');
+
+        return string.charAt(0).toUpperCase() + string.slice(1);
+    },
+
+    truncate: function(string, maxLength, showEllipsis) {
+        string = String(string || '');
+        maxLength = maxLength || 100;
+
+        if (string.length > maxLength) {
+            return string.substring(0, maxLength) + (showEllipsis !== false ? ' [...]' : '');
+        }
+
+        return string;
+    },
+
+    getPossiblyUndefinedKeyValue: function(obj, keySequence) {
+        var keys = keySequence.split('.');
+
+        while (obj && keys.length) {
+            obj = obj[keys.shift()];
+        }
+
+        return obj || undefined;
+    },
+
+    // Escape Slack's control characters in text that is not meant as mrkdwn
+    escapeMrkdwn: function(text) {
+        return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    },
+
+    // The text `escapeMrkdwn` was given, for services other than Slack
+    unescapeMrkdwn: function(text) {
+        return String(text || '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    },
+
+    // Convert the Markdown of descriptions, comments and commit messages into Slack mrkdwn. Slack's control
+    // characters are escaped everywhere, code is otherwise left as it is and `@{account-id}` mentions are resolved
+    // with the `users` of the payload, or through the user mapping.
+    markdownToMrkdwn: function(markdown, users) {
+
+        var escape = helper.escapeMrkdwn;
+
+        var mention = function(match, id) {
+            var user = (users || []).filter(function(candidate) {
+                return candidate && [candidate.account_id, candidate.uuid].indexOf(id) > -1;
+            })[0] || {account_id: id};
+
+            var known = user.display_name || getMappedSlackUser(user) || getSlackUserId(user);
+
+            return known ? mentionUser(user) : '@' + id;
+        };
+
+        return String(markdown || '').split(/(```[\s\S]*?(?:```|$))/).map(function(block, index) {
+            if (index % 2) {
+                // Slack shows the language of a fence as code
+                return escape(block).replace(/^```[\w+#.-]*[ \t]*\n/, '```\n');
+            }
+
+            return block.split(/(`[^`\n]+`)/).map(function(text, part) {
+                if (part % 2) {
+                    return escape(text);
+                }
+
+                return escape(text)
+                    .replace(/^&gt;/gm, '>')
+                    .replace(/^(\s*)[*+-]\s+/gm, '$1• ')
+                    .replace(/^#{1,6}\s+(.+?)\s*#*$/gm, '\u0000$1\u0000')
+                    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, function(match, stars, underscores) {
+                        return '\u0000' + (stars || underscores) + '\u0000';
+                    })
+                    .replace(/(^|[^*\w])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1_$2_')
+                    .replace(/~~(.+?)~~/g, '~$1~')
+                    .replace(/!?\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, function(match, label, url) {
+                        return '<' + url + (label ? '|' + label : '') + '>';
+                    })
+                    .replace(/\u0000/g, '*')
+                    .replace(/@\{([^}\s]+)\}/g, mention);
+            }).join('');
+        }).join('');
+    },
+
+    // Shorten mrkdwn like `truncate`, but at a word boundary and without cutting through a link, mention or inline
+    // code. A code block cut short is closed, unless it can be left out altogether.
+    truncateMrkdwn: function(text, maxLength, showEllipsis) {
+        text = String(text || '');
+        maxLength = maxLength || 100;
+
+        if (text.length <= maxLength) {
+            return text;
+        }
+
+        var cut = text.substring(0, maxLength),
+            space = cut.search(/\s\S*$/);
+
+        if (space > maxLength / 2) {
+            cut = cut.substring(0, space);
+        }
+
+        if (cut.lastIndexOf('<') > cut.lastIndexOf('>')) {
+            cut = cut.substring(0, cut.lastIndexOf('<'));
+        }
+
+        if ((cut.split('```').length - 1) % 2) {
+            var fence = cut.lastIndexOf('```'),
+                line = cut.lastIndexOf('\n');
+
+            if (cut.substring(0, fence).trim().length >= maxLength / 2) {
+                cut = cut.substring(0, fence);
+            } else {
+                // end the code block after its last whole line
+                cut = (line > fence ? cut.substring(0, line) : cut).replace(/\s+$/, '') + '\n```';
+            }
+        } else if ((cut.replace(/```/g, '').split('`').length - 1) % 2) {
+            cut = cut.substring(0, cut.lastIndexOf('`'));
+        }
+
+        return cut.replace(/\s+$/, '') + (showEllipsis !== false ? ' [...]' : '');
+    }
+};
+
+
+
+//------------------------------
+// User Resolution
+//------------------------------
+
+// How long Slack users found by email are remembered, in milliseconds. Misses are remembered as well.
+var SLACK_USER_CACHE_TTL = 60 * 60 * 1000;
+
+var slackUsersByEmail = {};
+
+
+/**
+ * Find the address of a Bitbucket user, either given directly (Bitbucket Server) or taken from a commit author's
+ * `Name <email>` string.
+ *
+ * @param  {object} user  Bitbucket user, or a commit author with `user` and `raw`
+ * @return {string}       Lower-cased email address, when known
+ */
+function getUserEmail(user) {
+    if (!user) {
+        return undefined;
+    }
+
+    var match = /<([^>]+@[^>]+)>/.exec(user.raw || ''),
+        email = user.email || (match ? match[1] : undefined);
+
+    return email ? email.toLowerCase() : undefined;
+}
+
+/**
+ * @param  {object} user  Bitbucket user
+ * @return {string}       The most stable identifier of the user, for telling users apart
+ */
+function getUserId(user) {
+    return user ? user.account_id || user.uuid || user.username || user.nickname : undefined;
+}
+
+/**
+ * Look the user up in settings keyed by Bitbucket user. Bitbucket Cloud replaced usernames with account IDs and
+ * nicknames, so every identifier is tried.
+ *
+ * @param  {object} settings  Settings keyed by account ID, UUID, nickname or username
+ * @param  {object} user      Bitbucket user
+ * @return {*}                The user's setting, when configured
+ */
+function getUserSetting(settings, user) {
+    var identifiers = [user.account_id, user.uuid, user.nickname, user.username];
+
+    for (var i = 0; i < identifiers.length; i++) {
+        if (identifiers[i] && settings.hasOwnProperty(identifiers[i])) {
+            return settings[identifiers[i]];
+        }
+    }
+}
+
+/**
+ * Look the user up in `config.users`.
+ *
+ * @param  {object} user  Bitbucket user
+ * @return {string}       The mapped Slack user ID or username, when configured
+ */
+function getMappedSlackUser(user) {
+    return getUserSetting(config.users, user);
+}
+
+/**
+ * Map a Slack user back to the Bitbucket user it is mapped from in `config.users`.
+ *
+ * @param  {object} slackUser  Slack user of an interaction or command, with its `id` and (legacy) `username`
+ * @return {string}            The key of the Bitbucket user in `config.users`, eg their nickname, if mapped
+ */
+function findBitbucketUser(slackUser) {
+    var names = [slackUser.id, slackUser.username, slackUser.name].filter(Boolean);
+
+    return Object.keys(config.users).filter(function(key) {
+        return names.indexOf(String(config.users[key]).replace(/^<@([^>]+)>$/, '$1').replace(/^@/, '')) > -1;
+    })[0];
+}
+
+/**
+ * @param  {object} user  Bitbucket user, or a commit author with `user` and `raw`
+ * @return {string}       The Slack user ID the user is mapped to or was found by email, if any
+ */
+function getSlackUserId(user) {
+    if (!user) {
+        return undefined;
+    }
+
+    var account = user.user || user,
+        slackUser = getMappedSlackUser(account),
+        email = getUserEmail(user) || getUserEmail(account),
+        cached = email && slackUsersByEmail[email];
+
+    if (slackUser) {
+        return /^[UW][A-Z0-9]+$/.test(slackUser) ? slackUser : undefined;
+    }
+
+    return cached && cached.id || undefined;
+}
+
+/**
+ * Render a Bitbucket user as a Slack mention. Users mapped to a Slack user ID (or found by email) are mentioned by
+ * ID, legacy username mappings keep their `@name` form and anyone else is shown by display name without a ping.
+ *
+ * @param  {object} user  Bitbucket user, or a commit author with `user` and `raw`
+ * @return {string}       Slack mrkdwn for the user
+ */
+function mentionUser(user) {
+    if (!user) {
+        return 'Unknown user';
+    }
+
+    var account = user.user || user,
+        slackUser = getMappedSlackUser(account),
+        email = getUserEmail(user) || getUserEmail(account),
+        cached = email && slackUsersByEmail[email];
+
+    if (!slackUser && cached && cached.id) {
+        slackUser = cached.id;
+    }
+
+    if (slackUser) {
+        if (/^[UW][A-Z0-9]+$/.test(slackUser)) {
+            return '<@' + slackUser + '>';
+        }
+
+        return slackUser.charAt(0) === '<' ? slackUser : '@' + slackUser;
+    }
+
+    return helper.escapeMrkdwn(account.display_name || account.nickname || account.username ||
+        String(user.raw || 'Unknown user').replace(/\s*<[^>]*>$/, ''));
+}
+
+/**
+ * List the reviewers of a pull-request, ticked off with ✅ once they approved it and ⏳ until then. Participants
+ * approving without having been asked to review are listed as well. Reviewers are mentioned when
+ * `mentionReviewers` is on, unless `plain` asks for their display names.
+ *
+ * @param  {object[]} reviewers     Reviewers of the pull-request
+ * @param  {object[]} participants  Participants of the pull-request, with their `approved` flag
+ * @param  {boolean}  plain         Whether to name the reviewers without mentioning them
+ * @return {string}                 Slack mrkdwn checklist, one reviewer per line; empty without reviewers
+ */
+function formatReviewerChecklist(reviewers, participants, plain) {
+    var approvers = {},
+        people = (reviewers || []).filter(Boolean);
+
+    (participants || []).forEach(function(participant) {
+        if (participant && participant.approved && participant.user) {
+            approvers[getUserId(participant.user)] = participant.user;
+        }
+    });
+
+    Object.keys(approvers).forEach(function(id) {
+        var listed = people.some(function(reviewer) {
+            return getUserId(reviewer) === id;
+        });
+
+        if (!listed) {
+            people.push(approvers[id]);
+        }
+    });
+
+    return people.map(function(user) {
+        var name = config.featureSwitch.mentionReviewers && !plain ? mentionUser(user) :
+            helper.escapeMrkdwn(user.display_name || user.nickname || user.username || 'Unknown user');
+
+        return (approvers.hasOwnProperty(getUserId(user)) ? '✅ ' : '⏳ ') + name;
+    }).join('\n');
+}
+
+/**
+ * Collect every user appearing in a Cloud-shaped payload.
+ *
+ * @param  {object}   payload  Cloud-shaped webhook payload
+ * @return {object[]}          Users and commit authors
+ */
+function collectUsers(payload) {
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, payload),
+        users = [
+            getKey('actor'),
+            getKey('pullrequest.author'),
+            getKey('comment.user'),
+            getKey('issue.reporter'),
+            getKey('issue.assignee'),
+            getKey('changes_request.user')
+        ];
+
+    [].concat(getKey('pullrequest.reviewers') || []).forEach(function(reviewer) {
+        users.push(reviewer);
+    });
+
+    [].concat(getKey('pullrequest.participants') || []).forEach(function(participant) {
+        users.push(participant && participant.user);
+    });
+
+    [].concat(getKey('push.changes') || []).forEach(function(change) {
+        [].concat(change && change.commits || []).forEach(function(commit) {
+            users.push(commit && commit.author);
+        });
+    });
+
+    return users.filter(Boolean);
+}
+
+/**
+ * Find Slack users by email for everyone in the payload who is not mapped in `config.users`, so that `mentionUser`
+ * can mention them. Lookups are cached and failures only cost the ping, never the message.
+ *
+ * @param  {object}   payload   Cloud-shaped webhook payload
+ * @param  {function} callback  Invoked once every lookup has finished
+ */
+function resolveUsers(payload, callback) {
+
+    if (!config.featureSwitch.lookupUsersByEmail || !config.slackBotToken) {
+        return callback();
+    }
+
+    var now = Date.now(),
+        emails = [];
+
+    collectUsers(payload).forEach(function(user) {
+        var email = getUserEmail(user) || getUserEmail(user.user),
+            cached = email && slackUsersByEmail[email];
+
+        if (email && !getMappedSlackUser(user.user || user) && (!cached || cached.expires < now) &&
+            emails.indexOf(email) < 0) {
+            emails.push(email);
+        }
+    });
+
+    var pending = emails.length;
+
+    if (!pending) {
+        return callback();
+    }
+
+    emails.forEach(function(email) {
+        callSlackApi('users.lookupByEmail', {email: email}, function(err, response) {
+            if (err && !/users_not_found/.test(err.message)) {
+                logger.warn('Slack user lookup failed', {email: maskEmail(email), error: err.message});
+            }
+
+            slackUsersByEmail[email] = {
+                id: response && response.user ? response.user.id : undefined,
+                expires: now + SLACK_USER_CACHE_TTL
+            };
+
+            if (--pending === 0) {
+                callback();
+            }
+        });
+    });
+}
+
+
+
+//------------------------------
+// BitBucket Processing
+//------------------------------
+
+
+/**
+ * Examine the message from Bitbucket to determine the message to send
+ * to the notification service. See [0] for more information regarding available events..
+ *
+ * [0]: https://confluence.atlassian.com/bitbucket/event-payloads-740262817.html
+ *
+ * @param  {object} data      Payload of the webhook HTTP request, as checked by `validateEvent`
+ * @param  {string} eventKey  Event-Key identified by webhook HTTP header
+ * @return {object}           The `notification` to deliver, and the `data` extracted to build it, or undefined for
+ *                            an event without a message of its own
+ */
+function generateMessage(data, eventKey) {
+
+    logger.info('Generating message');
+
+    //------------------------------
+    // Validation
+    //------------------------------
+
+    // payloads are checked against `EVENT_SCHEMAS` by `validateEvent` before they get here
+    if (!isSupportedEvent(eventKey)) {
+        return undefined;
+    }
+
+    var delimiter = eventKey.indexOf(':'),
+        context = eventKey.substring(0, delimiter),
+        parsedKey = eventKey.substring(delimiter + 1);
+
+    // The data extracted by the base handler of the event, handed back for use in templates
+    var extracted;
+
+    // Names, titles and other text people typed go into mrkdwn through this, so Slack takes none of it as markup
+    var escape = helper.escapeMrkdwn;
+
+
+    //------------------------------
+    // PR Event Base Formatting
+    //------------------------------
+
+    function pullrequestBaseHandler(event) {
+
+        /**
+         * Extracts the payload recieved from Bitbucket outgoing hooks.
+         *
+         * @param  {object} event Pull Request Event
+         * @return {object}       Data object mapped with key information
+         */
+        var extractPrData = function(event) {
+
+            logger.debug('Extracting Pull Request data');
+
+            var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, event);
+
+            var data = {
+                prAuthor: getKey('pullrequest.author.display_name'),
+                prAuthorUser: getKey('pullrequest.author'),
+                prId: getKey('pullrequest.id'),
+                prUrl: getKey('pullrequest.links.html.href'),
+                prTitle: getKey('pullrequest.title'),
+
+                actor: getKey('actor.display_name'),
+                actorUser: getKey('actor'),
+
+                repoName: getKey('pullrequest.source.repository.name'),
+                repoFullName: getKey('pullrequest.destination.repository.full_name') || getKey('repository.full_name'),
+                repoSourceName: getKey('pullrequest.source.branch.name'),
+                repoDestinationName: getKey('pullrequest.destination.branch.name'),
+
+                reason: getKey('pullrequest.reason'),
+                state: getKey('pullrequest.state'),
+                description: getKey('pullrequest.description'),
+                descriptionContent: helper.markdownToMrkdwn(getKey('pullrequest.description'), collectUsers(event)),
+
+                commentUrl: getKey('comment.links.html.href'),
+                commentContentRaw: getKey('comment.content.raw'),
+                commentContent: helper.markdownToMrkdwn(getKey('comment.content.raw'), collectUsers(event)),
+                commentPath: getKey('comment.inline.path'),
+                // `to` is the line in the new version of the file, `from` the one in the old version
+                commentLine: getKey('comment.inline.to') || getKey('comment.inline.from'),
+                commentParentId: getKey('comment.parent.id'),
+                commentParentUrl: getKey('comment.parent.links.html.href'),
+
+                reviewers: getKey('pullrequest.reviewers'),
+                participants: getKey('pullrequest.participants')
+            };
+
+            data.reviewerChecklist = formatReviewerChecklist(data.reviewers, data.participants);
+
+            return data;
+        };
+
+        var data = extractPrData(event);
+
+        extracted = data;
+
+        var result = {
+            link_names: 1,
+            mrkdwn: true,
+            attachments: [{
+                title: escape(data.prTitle),
+                title_link: data.prUrl,
+                color: config.colors.blue,
+                fields: [],
+                mrkdwn_in: ['pretext', 'fields']
+            }]
+        };
+
+        if (data.reason) {
+            result.attachments[0].fields.push({
+                title: 'Reason',
+                value: escape(data.reason)
+            });
+        }
+
+        return {
+            data: data,
+            result: result
+        };
+    }
+
+    //------------------------------
+    // Repo Event Base Formatting
+    //------------------------------
+
+    function repoBaseHandler(event) {
+
+        /**
+         * Extracts the payload recieved from Bitbucket outgoing hooks.
+         *
+         * @param  {object} event Repository Event
+         * @return {object}       Data object mapped with key information
+         */
+        var extractRepoData = function(event) {
+
+            logger.debug('Extracting Repository data');
+
+            var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, event);
+
+            var data = {
+                actor: getKey('actor.display_name'),
+                repoName: getKey('repository.name'),
+                repoUrl: getKey('repository.links.html.href'),
+                reason: getKey('repository.reason'),
+                state: getKey('repository.state'),
+                description: getKey('repository.description'),
+                commentUrl: getKey('comment.links.html.href'),
+                commentContentRaw: getKey('comment.content.raw'),
+                commentContent: helper.markdownToMrkdwn(getKey('comment.content.raw'), collectUsers(event)),
+                commentPath: getKey('comment.inline.path'),
+                commentLine: getKey('comment.inline.to') || getKey('comment.inline.from'),
+                commentParentId: getKey('comment.parent.id'),
+                commentParentUrl: getKey('comment.parent.links.html.href'),
+
+                forkName: getKey('fork.full_name'),
+                forkUrl: getKey('fork.links.html.href'),
+
+                commitHash: getKey('commit.hash') || getKey('commit_status.commit.hash'),
+
+                statusName: getKey('commit_status.name'),
+                statusState: getKey('commit_status.state'),
+                statusDescription: getKey('commit_status.description'),
+                statusUrl: getKey('commit_status.url'),
+                statusRefName: getKey('commit_status.refname')
+            };
+
+            if (data.repoUrl && data.commitHash) {
+                data.commitUrl = data.repoUrl + '/commits/' + data.commitHash;
+            }
+
+            var changes = getKey('push.changes'),
+                pushInfo = changes && changes[0] ? changes[0].new || changes[0].old : undefined;
+
+            if (pushInfo) {
+                data.pushType = pushInfo.type;
+                data.pushTarget = pushInfo.name;
+                data.pushForced = changes[0].forced;
+                data.pushCommits = changes[0].commits;
+            }
+
+            data.pushChanges = (changes || []).filter(Boolean).map(function(change) {
+                var info = change.new || change.old || {},
+                    getChangeKey = helper.getPossiblyUndefinedKeyValue.bind(this, change);
+
+                return {
+                    type: info.type,
+                    name: info.name,
+                    url: getChangeKey('new.links.html.href'),
+                    created: !!change.created || !change.old && !!change.new,
+                    deleted: !!change.closed || !change.new,
+                    forced: !!change.forced,
+                    truncated: !!change.truncated,
+                    commits: Array.isArray(change.commits) ? change.commits.filter(Boolean) : undefined,
+                    compareUrl: getChangeKey('links.html.href') || getChangeKey('links.diff.href') ||
+                        getChangeKey('links.commits.href')
+                };
+            });
+
+            return data;
+        };
+
+        var data = extractRepoData(event);
+
+        extracted = data;
+
+        var result = {
+            link_names: 1,
+            mrkdwn: true,
+            attachments: [{
+                color: config.colors.blue,
+                fields: [],
+                mrkdwn_in: ['pretext', 'fields']
+            }]
+        };
+
+        if (data.reason) {
+            result.attachments[0].fields.push({
+                title: 'Reason',
+                value: escape(data.reason)
+            });
+        }
+
+        return {
+            data: data,
+            result: result
+        };
+    }
+
+    //------------------------------
+    // Issue Event Base Formatting
+    //------------------------------
+
+    function issueBaseHandler(event) {
+
+        /**
+         * Extracts the payload recieved from Bitbucket outgoing hooks.
+         *
+         * @param  {object} event Issue Event
+         * @return {object}       Data object mapped with key information
+         */
+        var extractIssueData = function(event) {
+
+            logger.debug('Extracting Issue data');
+
+            var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, event);
+
+            var data = {
+                issueId: getKey('issue.id'),
+                issueTitle: getKey('issue.title'),
+                issueUrl: getKey('issue.links.html.href'),
+                issueKind: getKey('issue.kind'),
+                issuePriority: getKey('issue.priority'),
+                issueState: getKey('issue.state'),
+                issueAssignee: getKey('issue.assignee.display_name'),
+
+                actor: getKey('actor.display_name'),
+                repoName: getKey('repository.name'),
+
+                commentUrl: getKey('comment.links.html.href'),
+                commentContentRaw: getKey('comment.content.raw'),
+                commentContent: helper.markdownToMrkdwn(getKey('comment.content.raw'), collectUsers(event)),
+
+                changes: getKey('changes')
+            };
+
+            return data;
+        };
+
+        var data = extractIssueData(event);
+
+        extracted = data;
+
+        var result = {
+            link_names: 1,
+            mrkdwn: true,
+            attachments: [{
+                title: '#' + data.issueId + ': ' + escape(data.issueTitle),
+                title_link: data.issueUrl,
+                color: config.colors.blue,
+                fields: [],
+                mrkdwn_in: ['pretext', 'fields']
+            }]
+        };
+
+        return {
+            data: data,
+            result: result
+        };
+    }
+
+    //------------------------------
+    // Review & Comment Formatting
+    //------------------------------
+
+    /**
+     * Add the reviewer checklist of a pull-request to its message, when it has reviewers. Only the message of a new
+     * pull-request mentions them; later events name them, so that reviewers are not pinged on every update.
+     *
+     * @param  {object}  result   Message being built
+     * @param  {object}  data     Data extracted by `extractPrData`
+     * @param  {boolean} mention  Whether to mention the reviewers
+     */
+    function pushReviewerChecklist(result, data, mention) {
+        if (data.reviewerChecklist) {
+            result.attachments[0].fields.push({
+                title: 'Reviewers:',
+                value: mention ? data.reviewerChecklist :
+                    formatReviewerChecklist(data.reviewers, data.participants, true)
+            });
+        }
+    }
+
+    /**
+     * Add the Approve and Request Changes buttons of `SLACK_ACTIONS` to the message of a pull-request, when enabled.
+     * Their value tells `handleSlackAction` which pull-request was clicked on.
+     *
+     * @param  {object} result  Message being built
+     * @param  {object} data    Data extracted by `extractPrData`
+     */
+    function pushReviewActions(result, data) {
+        if (!config.slackActions.enabled || data.prId === undefined || !data.repoFullName) {
+            return;
+        }
+
+        var value = JSON.stringify({repository: data.repoFullName, id: data.prId});
+
+        result.attachments[0].actions = [
+            {name: 'approve', text: 'Approve', style: 'primary', value: value},
+            {name: 'request_changes', text: 'Request Changes', style: 'danger', value: value}
+        ];
+    }
+
+    /**
+     * Add where an inline comment was left and which comment it replies to, when known.
+     *
+     * @param  {object} result  Message being built
+     * @param  {object} data    Data extracted by the base handler
+     */
+    function pushCommentContext(result, data) {
+        if (data.commentPath) {
+            // a backtick cannot be escaped within a code span, so it is shown as the look-alike modifier letter
+            var path = escape(data.commentPath).replace(/`/g, '\u02cb');
+
+            result.attachments[0].fields.push({
+                title: 'File',
+                value: '`' + path + '`' + (data.commentLine ? ' line ' + data.commentLine : ''),
+                short: true
+            });
+        }
+
+        if (data.commentParentId) {
+            var parent = 'Comment #' + data.commentParentId;
+
+            result.attachments[0].fields.push({
+                title: 'In Reply To',
+                value: data.commentParentUrl ? '<' + data.commentParentUrl + '|' + parent + '>' : parent,
+                short: true
+            });
+        }
+    }
+
+    //------------------------------
+    // Push Summary Formatting
+    //------------------------------
+
+    /**
+     * Summarize a single ref change of a push, eg "Branch Created" or "3 Commits Pushed".
+     *
+     * @param  {object} change  Entry of the extracted `pushChanges`
+     * @return {string}         Headline of the change
+     */
+    function describePushChange(change) {
+        var kind = helper.capitalize(change.type || 'branch');
+
+        if (change.deleted) {
+            return kind + ' Deleted';
+        }
+
+        if (change.created) {
+            return kind + ' Created';
+        }
+
+        // Bitbucket Server does not list the pushed commits
+        if (!change.commits) {
+            return 'Commits Pushed';
+        }
+
+        var count = change.commits.length + (change.truncated ? '+' : '');
+
+        return count + ' Commits ' + (change.forced ? 'REBASED (attn: @dev)' : 'Pushed');
+    }
+
+    /**
+     * List the commits of a ref change, one per line, capped at `config.pushCommitLimit` with a link to the compare
+     * view for the rest. Bitbucket itself only sends the latest few commits and flags the change as `truncated`.
+     *
+     * @param  {object} change  Entry of the extracted `pushChanges`
+     * @return {string}         Slack mrkdwn commit list
+     */
+    function formatCommitList(change) {
+        var commits = change.commits.slice(0, config.pushCommitLimit),
+            remaining = change.commits.length - commits.length;
+
+        var lines = commits.map(function(commit) {
+            var message = helper.markdownToMrkdwn(String(commit.message || '').trim()),
+                author = commit.author || {};
+
+            // handle bb-formatting of merge commits
+            if (message.indexOf('\n\n') > -1) {
+                // replace the first newline with an indent block
+                message = message.replace('\n\n', '\n                     _') + '_';
+            }
+
+            // change to just commit.authordisplay_name if this is annoying
+            var authorName = author.user && author.user.display_name ||
+                String(author.raw || 'Unknown author').replace(/\s*<[^>]*>$/, '');
+
+            var url = helper.getPossiblyUndefinedKeyValue(commit, 'links.html.href'),
+                hash = helper.truncate(commit.hash, 8, false);
+
+            return '(' + (url ? '<' + url + '|' + hash + '>' : hash) + ') ' + message + ' - ' + escape(authorName);
+        });
+
+        if (remaining > 0 || change.truncated) {
+            var more = remaining > 0 ? '...and ' + remaining + (change.truncated ? '+' : '') + ' more' : '...and more';
+            lines.push(change.compareUrl ? '<' + change.compareUrl + '|' + more + '>' : more);
+        }
+
+        return lines.join('\n');
+    }
+
+    //------------------------------
+    // Commit Status Formatting
+    //------------------------------
+
+    function commitStatusHandler(event) {
+
+        var repoInfo = repoBaseHandler(event),
+            data = repoInfo.data,
+            result = repoInfo.result,
+            state = BUILD_STATES[data.statusState] || {label: escape(data.statusState), color: 'blue'},
+            repoName = escape(data.repoName);
+
+        result.attachments[0].fallback = repoName + ': Build ' + state.label + ' - ' + escape(data.statusName);
+        result.attachments[0].pretext = '_' + repoName + ': *Build ' + state.label + '*_';
+        result.attachments[0].title = escape(data.statusName);
+        result.attachments[0].title_link = data.statusUrl;
+        result.attachments[0].color = config.colors[state.color];
+
+        if (isEscalatedBuild(event)) {
+            result.attachments[0].pretext = '_' + repoName + ': *Build ' + state.label + '* on protected branch ' +
+                escape(data.statusRefName) + '_';
+            result.attachments[0].color = config.buildStatus.escalationColor;
+
+            // attachments do not notify anyone they mention, so the mention goes into the text of the message
+            if (config.buildStatus.mention) {
+                result.text = config.buildStatus.mention;
+            }
+        }
+
+        var shortHash = helper.truncate(data.commitHash, 8, false);
+
+        result.attachments[0].fields.push({
+            title: 'Commit',
+            value: data.commitUrl ? '<' + data.commitUrl + '|' + shortHash + '>' : shortHash,
+            short: true
+        });
+
+        if (data.statusRefName) {
+            result.attachments[0].fields.push({
+                title: 'Branch',
+                value: escape(data.statusRefName),
+                short: true
+            });
+        }
+
+        if (data.statusDescription) {
+            result.attachments[0].fields.push({
+                title: 'Status',
+                value: escape(data.statusDescription),
+                short: false
+            });
+        }
+
+        return result;
+    }
+
+
+    //------------------------------
+    // Formatting gateway
+    //------------------------------
+
+    var messageHandlers = {
+
+        //----------------------------------
+        // Pull Request Handlers
+        // See also: https://confluence.atlassian.com/bitbucket/event-payloads-740262817.html#EventPayloads-PullRequestEvents
+        //-----------------------------------
+
+        pullrequest: {
+
+            created: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Created: ' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Created*_';
+
+                result.attachments[0].fields.push({
+                    title: 'Repo / Branches:',
+                    value: escape(data.repoName + ' (' + data.repoSourceName + ' → ' +
+                        data.repoDestinationName + ')'),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                if (data.description) {
+                    result.attachments[0].fields.push({
+                        title: 'Description',
+                        value: helper.truncateMrkdwn(data.descriptionContent, 500)
+                    });
+                }
+
+                pushReviewerChecklist(result, data, true);
+                pushReviewActions(result, data);
+
+                return result;
+            },
+
+            updated: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Updated:' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Updated*_';
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Updated By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                pushReviewerChecklist(result, data);
+
+                return result;
+            },
+
+            approved: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Approved:' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Approved*_';
+                result.attachments[0].color = config.colors.green;
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Approved By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                pushReviewerChecklist(result, data);
+
+                return result;
+            },
+
+            unapproved: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Unapproved:' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Unapproved*_';
+                result.attachments[0].color = config.colors.yellow;
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Unapproved By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                pushReviewerChecklist(result, data);
+
+                return result;
+            },
+
+            changes_request_created: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Changes Requested:' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Changes Requested*_';
+                result.attachments[0].color = config.colors.yellow;
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Requested By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                pushReviewerChecklist(result, data);
+
+                return result;
+            },
+
+            changes_request_removed: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Changes Request Removed:' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Changes Request Removed*_';
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Removed By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                pushReviewerChecklist(result, data);
+
+                return result;
+            },
+
+            rejected: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Rejected:' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Rejected*_';
+                result.attachments[0].color = config.colors.red;
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Rejected By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                return result;
+            },
+
+            fulfilled: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Merged:' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Merged*_';
+                result.attachments[0].color = config.colors.green;
+
+                result.attachments[0].fields.push({
+                    title: 'Repo / Branches:',
+                    value: escape(data.repoName + ' (' + data.repoSourceName + ' → ' +
+                        data.repoDestinationName + ')'),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Merged By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                return result;
+            },
+
+            comment_created: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Comment Added:' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Comment Added*_';
+                result.attachments[0].title_link = data.commentUrl;
+                result.attachments[0].color = config.colors.green;
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Comment',
+                    value: helper.truncateMrkdwn(data.commentContent),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Comment By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                pushCommentContext(result, data);
+
+                return result;
+            },
+
+            comment_deleted: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Comment Deleted:' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Comment Deleted*_';
+                result.attachments[0].title_link = data.commentUrl;
+                result.attachments[0].color = config.colors.yellow;
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Comment',
+                    value: helper.truncateMrkdwn(data.commentContent),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Comment By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                pushCommentContext(result, data);
+
+                return result;
+
+            },
+
+            comment_updated: function(event) {
+
+                var prInfo = pullrequestBaseHandler(event),
+                    data = prInfo.data,
+                    result = prInfo.result;
+
+                result.attachments[0].fallback = 'Pull-Request Comment Updated:' + escape(data.prTitle);
+                result.attachments[0].pretext = '_Pull-Request: *Comment Updated*_';
+                result.attachments[0].title_link = data.commentUrl;
+                result.attachments[0].color = config.colors.yellow;
+
+                result.attachments[0].fields.push({
+                    title: 'Author',
+                    value: mentionUser(data.prAuthorUser),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Comment',
+                    value: helper.truncateMrkdwn(data.commentContent),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Comment By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                pushCommentContext(result, data);
+
+                return result;
+            }
+
+        },
+
+        //----------------------------------
+        // Repository Event Handlers
+        // See also: https://confluence.atlassian.com/bitbucket/event-payloads-740262817.html#EventPayloads-RepositoryEvents
+        //-----------------------------------
+
+        repo: {
+            push: function(event) {
+
+                var repoInfo = repoBaseHandler(event),
+                    data = repoInfo.data,
+                    result = repoInfo.result,
+                    changes = data.pushChanges,
+                    multiple = changes.length > 1,
+                    headline = multiple ? changes.length + ' Changes Pushed' : describePushChange(changes[0] || {}),
+                    forced = changes.some(function(change) {
+                        return change.forced;
+                    });
+
+                result.attachments[0].fallback = escape(data.repoName) + ': ' + headline;
+                result.attachments[0].pretext = '_' + escape(data.repoName) + ': *' + headline + '*_';
+
+                changes.forEach(function(change) {
+                    var name = change.url && !change.deleted ? '<' + change.url + '|' + escape(change.name) + '>' :
+                        escape(change.name);
+
+                    result.attachments[0].fields.push({
+                        title: helper.capitalize(change.type || 'branch'),
+                        value: multiple ? name + ': ' + describePushChange(change) : name,
+                        short: true
+                    });
+                });
+
+                result.attachments[0].fields.push({
+                    title: forced ? 'Rebased By' : 'Pushed By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                changes.forEach(function(change) {
+                    if (change.commits && change.commits.length > 0) {
+                        result.attachments[0].fields.push({
+                            title: multiple ? 'Commits on ' + escape(change.name) : 'Commits',
+                            value: formatCommitList(change),
+                            short: false
+                        });
+                    }
+                });
+
+                return result;
+            },
+
+            fork: function(event) {
+
+                var repoInfo = repoBaseHandler(event),
+                    data = repoInfo.data,
+                    result = repoInfo.result;
+
+                result.attachments[0].fallback = escape(data.repoName) + ': Forked to ' + escape(data.forkName);
+                result.attachments[0].pretext = '_' + escape(data.repoName) + ': *Forked*_';
+                result.attachments[0].title = escape(data.forkName);
+                result.attachments[0].title_link = data.forkUrl;
+
+                result.attachments[0].fields.push({
+                    title: 'Forked By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                return result;
+            },
+
+            commit_comment_created: function(event) {
+
+                var repoInfo = repoBaseHandler(event),
+                    data = repoInfo.data,
+                    result = repoInfo.result;
+
+                result.attachments[0].fallback = escape(data.repoName) + ': Commit Comment Added';
+                result.attachments[0].pretext = '_' + escape(data.repoName) + ': *Commit Comment Added*_';
+                result.attachments[0].title = 'Commit ' + helper.truncate(data.commitHash, 8, false);
+                result.attachments[0].title_link = data.commentUrl;
+                result.attachments[0].color = config.colors.green;
+
+                result.attachments[0].fields.push({
+                    title: 'Comment',
+                    value: helper.truncateMrkdwn(data.commentContent),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Comment By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                pushCommentContext(result, data);
+
+                return result;
+            },
+
+            commit_status_created: commitStatusHandler,
+
+            commit_status_updated: commitStatusHandler
+
+        },
+
+        //----------------------------------
+        // Issue Event Handlers
+        // See also: https://confluence.atlassian.com/bitbucket/event-payloads-740262817.html#EventPayloads-IssueEvents
+        //-----------------------------------
+
+        issue: {
+
+            created: function(event) {
+
+                var issueInfo = issueBaseHandler(event),
+                    data = issueInfo.data,
+                    result = issueInfo.result;
+
+                result.attachments[0].fallback = escape(data.repoName) + ': Issue Created: ' + escape(data.issueTitle);
+                result.attachments[0].pretext = '_' + escape(data.repoName) + ': *Issue Created*_';
+
+                var classification = [data.issueKind, data.issuePriority].filter(Boolean).map(helper.capitalize);
+
+                if (classification.length) {
+                    result.attachments[0].fields.push({
+                        title: 'Kind / Priority',
+                        value: classification.join(' / '),
+                        short: true
+                    });
+                }
+
+                result.attachments[0].fields.push({
+                    title: 'Reported By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                if (data.issueAssignee) {
+                    result.attachments[0].fields.push({
+                        title: 'Assignee',
+                        value: escape(data.issueAssignee),
+                        short: true
+                    });
+                }
+
+                return result;
+            },
+
+            updated: function(event) {
+
+                var issueInfo = issueBaseHandler(event),
+                    data = issueInfo.data,
+                    result = issueInfo.result;
+
+                result.attachments[0].fallback = escape(data.repoName) + ': Issue Updated: ' + escape(data.issueTitle);
+                result.attachments[0].pretext = '_' + escape(data.repoName) + ': *Issue Updated*_';
+                result.attachments[0].color = config.colors.yellow;
+
+                Object.keys(data.changes || {}).forEach(function(name) {
+                    var change = data.changes[name] || {};
+
+                    result.attachments[0].fields.push({
+                        title: helper.capitalize(escape(name)),
+                        value: (escape(change.old) || '_none_') + ' → ' + (escape(change.new) || '_none_'),
+                        short: true
+                    });
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Updated By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                if (data.commentContent) {
+                    result.attachments[0].fields.push({
+                        title: 'Comment',
+                        value: helper.truncateMrkdwn(data.commentContent),
+                        short: false
+                    });
+                }
+
+                return result;
+            },
+
+            comment_created: function(event) {
+
+                var issueInfo = issueBaseHandler(event),
+                    data = issueInfo.data,
+                    result = issueInfo.result;
+
+                result.attachments[0].fallback = escape(data.repoName) + ': Issue Comment Added: ' +
+                    escape(data.issueTitle);
+                result.attachments[0].pretext = '_' + escape(data.repoName) + ': *Issue Comment Added*_';
+                result.attachments[0].title_link = data.commentUrl;
+                result.attachments[0].color = config.colors.green;
+
+                result.attachments[0].fields.push({
+                    title: 'Comment',
+                    value: helper.truncateMrkdwn(data.commentContent),
+                    short: true
+                });
+
+                result.attachments[0].fields.push({
+                    title: 'Comment By',
+                    value: escape(data.actor),
+                    short: true
+                });
+
+                return result;
+            }
+
+        }
+    };
+
+    var message = messageHandlers[context][parsedKey](data);
+
+    return {
+        notification: createNotification(message, data),
+        data: extracted
+    };
+}
+
+
+
+//------------------------------
+// Notifications
+//------------------------------
+
+// The message handlers lay their messages out as Slack attachments, which are turned into notifications that do not
+// depend on any chat service before templates and output adapters get to them. Text uses Slack mrkdwn throughout;
+// adapters for other services translate it with `mrkdwnToMarkdown`.
+//
+// {
+//     summary: 'Pull-Request Approved: Add feature',
+//     headline: '_Pull-Request: *Approved*_',
+//     title: 'Add feature',
+//     url: 'https://bitbucket.org/team/repo/pull-requests/12',
+//     color: '#2ecc71',
+//     fields: [{title: 'Approved By', value: 'Jane Doe', short: true}],
+//     links: [{text: 'View Pull-Request', url: 'https://bitbucket.org/team/repo/pull-requests/12'}]
+// }
+//
+// Notifications meant to ping people, such as escalated build failures, carry a Slack `mention` as well, eg <!here>,
+// and those of pull-requests the interactive buttons of `SLACK_ACTIONS` as `actions`, eg
+// [{name: 'approve', text: 'Approve', style: 'primary', value: '{"repository":"team/repo","id":12}'}].
+
+
+/**
+ * Turn a message built by the `messageHandlers` into a notification, adding links to the pull-request, its diff
+ * and the comment where the event has them.
+ *
+ * @param  {object} message  Attachment-based message returned by a message handler
+ * @param  {object} data     Payload of the webhook HTTP request
+ * @return {object}          Notification
+ */
+function createNotification(message, data) {
+
+    var attachment = message.attachments[0],
+        getKey = helper.getPossiblyUndefinedKeyValue.bind(this, data),
+        prUrl = getKey('pullrequest.links.html.href'),
+        commentUrl = getKey('comment.links.html.href'),
+        links = [];
+
+    var link = function(text, url) {
+        links.push({text: text, url: url});
+    };
+
+    if (prUrl) {
+        link('View Pull-Request', prUrl);
+        link('View Diff', prUrl + '/diff');
+    } else if (attachment.title_link && attachment.title_link !== commentUrl) {
+        link('Open in Bitbucket', attachment.title_link);
+    }
+
+    if (commentUrl) {
+        link('View Comment', commentUrl);
+    }
+
+    return {
+        summary: attachment.fallback,
+        headline: attachment.pretext,
+        title: attachment.title,
+        url: attachment.title_link,
+        color: attachment.color,
+        fields: (attachment.fields || []).map(function(field) {
+            return {title: String(field.title).replace(/:$/, ''), value: field.value, short: !!field.short};
+        }),
+        links: links,
+        actions: attachment.actions,
+        mention: message.text
+    };
+}
+
+/**
+ * Translate Slack mrkdwn into the Markdown understood by Teams and Discord. Mentions of Slack users become the
+ * display name of the Bitbucket user they stand for, or else the name they are mapped from, as Slack user IDs mean
+ * nothing elsewhere.
+ *
+ * @param  {string}   text   Slack mrkdwn
+ * @param  {object[]} users  Bitbucket users of the event, see `collectUsers`
+ * @return {string}          Markdown
+ */
+function mrkdwnToMarkdown(text, users) {
+
+    var unescape = helper.unescapeMrkdwn;
+
+    var slackUserName = function(id) {
+        var user = (users || []).filter(function(candidate) {
+            return getSlackUserId(candidate) === id;
+        })[0];
+
+        var names = Object.keys(config.users).filter(function(name) {
+            return config.users[name] === id;
+        });
+
+        return '@' + (user && (user.display_name || user.nickname) || names[0] || id);
+    };
+
+    return String(text || '').split(/(```[\s\S]*?(?:```|$)|`[^`\n]+`)/).map(function(part, index) {
+        if (index % 2) {
+            return unescape(part);
+        }
+
+        return unescape(part
+            .replace(/<@([UW][A-Z0-9]+)>/g, function(match, id) {
+                return slackUserName(id);
+            })
+            .replace(/<([^|>]+)\|([^>]+)>/g, '[$2]($1)')
+            .replace(/<([^|>]+)>/g, '$1')
+            .replace(/(^|[\s_~(])\*([^*\n]+)\*(?=$|[\s_~).,:;!?])/gm, '$1\u0000$2\u0000')
+            .replace(/(^|[\s*~(\u0000])_([^_\n]+)_(?=$|[\s*~).,:;!?\u0000])/gm, '$1*$2*')
+            .replace(/(^|\s)~([^~\n]+)~(?=$|\s|[.,:;!?])/gm, '$1~~$2~~')
+            .replace(/\u0000/g, '**'));
+    }).join('');
+}
+
+
+//------------------------------
+// Event Filtering
+//------------------------------
+
+
+/**
+ * Decide whether an event should be notified at all, using the configured filters. The first filter whose criteria
+ * all match decides; events matching no filter are allowed.
+ *
+ * @param  {object} data      Cloud-shaped payload of the webhook HTTP request
+ * @param  {string} eventKey  Event-Key identified by webhook HTTP header
+ * @return {object}           Whether the event is `allowed`, and the `reason` for it
+ */
+function filterEvent(data, eventKey) {
+
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, data),
+        actor = getKey('actor') || {},
+        actors = [actor.username, actor.nickname, actor.account_id, actor.uuid],
+        title = getKey('pullrequest.title'),
+        repositories = getEventRepositories(data),
+        branches = getEventBranches(data),
+        sourceBranches = [getKey('pullrequest.source.branch.name')];
+
+    var matchesTitle = function(patterns) {
+        return patterns === undefined || title !== undefined && [].concat(patterns).some(function(pattern) {
+            return new RegExp(pattern, 'i').test(title);
+        });
+    };
+
+    var decision = {allowed: true, reason: 'no filter matched'};
+
+    for (var i = 0; i < config.filters.length; i++) {
+        var filter = config.filters[i];
+
+        if (matchesCriterion(filter.events, [eventKey]) &&
+            matchesCriterion(filter.repositories, repositories) &&
+            matchesCriterion(filter.branches, branches) &&
+            matchesCriterion(filter.sourceBranches, sourceBranches) &&
+            matchesCriterion(filter.actors, actors) &&
+            matchesTitle(filter.titles)) {
+
+            decision = {
+                allowed: filter.action === 'allow',
+                reason: 'filter #' + i + (filter.reason ? ' (' + filter.reason + ')' : '')
+            };
+            break;
+        }
+    }
+
+    logger.info(decision.allowed ? 'Event allowed' : 'Event dropped', {reason: decision.reason});
+
+    return decision;
+}
+
+
+
+//------------------------------
+// Message Templates
+//------------------------------
+
+// Formatters usable in template placeholders, eg {{mention prAuthorUser}} or {{truncate commentContent}}
+var TEMPLATE_FORMATTERS = {
+    mention: function(value) {
+        return mentionUser(value);
+    },
+
+    truncate: function(value) {
+        return helper.truncateMrkdwn(String(value));
+    },
+
+    capitalize: function(value) {
+        return helper.capitalize(String(value));
+    },
+
+    hash: function(value) {
+        return helper.truncate(String(value), 8, false);
+    }
+};
+
+
+/**
+ * Look a dotted key up in a message's data, keeping falsy values such as 0 intact.
+ *
+ * @param  {object} data  Data extracted for the message
+ * @param  {string} key   Dotted key, eg pushCommits.length
+ * @return {*}            The value, or undefined
+ */
+function lookupTemplateValue(data, key) {
+    return key.split('.').reduce(function(value, part) {
+        return value === undefined || value === null ? undefined : value[part];
+    }, data);
+}
+
+/**
+ * @param  {*}       value  Template value
+ * @return {boolean}        Whether a conditional on the value holds; empty lists do not count
+ */
+function isTemplateTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Fill in a template string. `{{key}}` is replaced by the value of the dotted key, `{{formatter key}}` passes the
+ * value through one of the `TEMPLATE_FORMATTERS` first, and `{{#if key}}...{{else}}...{{/if}}` keeps one branch
+ * depending on the value.
+ *
+ * @param  {string} template  Template string
+ * @param  {object} data      Data extracted for the message
+ * @return {string}           The rendered string
+ */
+function renderTemplateString(template, data) {
+    var conditional = /\{\{#if ([\w.]+)\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+        placeholder = /\{\{(?:(\w+) )?([\w.]+)\}\}/g;
+
+    return String(template).replace(conditional, function(match, key, whenTrue, whenFalse) {
+        return isTemplateTruthy(lookupTemplateValue(data, key)) ? whenTrue : whenFalse || '';
+    }).replace(placeholder, function(match, formatter, key) {
+        var value = lookupTemplateValue(data, key);
+
+        if (value === undefined || value === null) {
+            return '';
+        }
+
+        return formatter && TEMPLATE_FORMATTERS[formatter] ? TEMPLATE_FORMATTERS[formatter](value) : String(value);
+    });
+}
+
+/**
+ * Apply a template override to the notification of a message built by the `messageHandlers`, whose output is the
+ * default template of each event. Only the parts named by the template are replaced; fields with an `if` key are
+ * left out when that value is empty.
+ *
+ * {
+ *     pretext: '_{{repoName}}: *Approved by {{actor}}*_',
+ *     fallback: 'Approved: {{prTitle}}',
+ *     color: 'green',
+ *     title: '{{prTitle}}',
+ *     fields: [
+ *         {title: 'Author', value: '{{mention prAuthorUser}}', short: true},
+ *         {title: 'Reason', value: '{{reason}}', if: 'reason'}
+ *     ]
+ * }
+ *
+ * The `pretext` and `fallback` of a template set the `headline` and `summary` of the notification.
+ *
+ * @param  {object} notification  Notification, left untouched
+ * @param  {object} data          Data extracted for the notification
+ * @param  {object} template      Template override for the event
+ * @return {object}               The notification with the template applied
+ */
+function applyTemplate(notification, data, template) {
+    var result = JSON.parse(JSON.stringify(notification)),
+        keys = {pretext: 'headline', fallback: 'summary', title: 'title'};
+
+    Object.keys(keys).forEach(function(key) {
+        if (template[key] !== undefined) {
+            result[keys[key]] = renderTemplateString(template[key], data);
+        }
+    });
+
+    if (template.color) {
+        result.color = config.colors[template.color] || template.color;
+    }
+
+    if (template.fields) {
+        result.fields = template.fields.filter(function(field) {
+            return !field.if || isTemplateTruthy(lookupTemplateValue(data, field.if));
+        }).map(function(field) {
+            return {
+                title: renderTemplateString(field.title || '', data),
+                value: renderTemplateString(field.value || '', data),
+                short: !!field.short
+            };
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Produce the notification delivered to one target: the generated notification with the target's template applied.
+ *
+ * @param  {object} generated  The `notification` and `data` returned by `generateMessage`
+ * @param  {object} event      The Cloud-shaped `payload` and `eventKey` the notification was generated from
+ * @param  {object} templates  Template overrides keyed by event key
+ * @return {object}            Notification
+ */
+function formatNotification(generated, event, templates) {
+    var template = templates && templates[event.eventKey];
+
+    return template ? applyTemplate(generated.notification, generated.data, template) : generated.notification;
+}
+
+
+
+//------------------------------
+// Block Kit Rendering
+//------------------------------
+
+
+/**
+ * Render a notification as Slack Block Kit `blocks`, for workspaces preferring them over legacy attachments: a
+ * header section with the headline and title, a section for the repo / branches, context blocks for the people
+ * involved, a section with the remaining fields and buttons for its links.
+ *
+ * @param  {object} notification  Notification
+ * @return {object}               Block Kit message
+ */
+function renderBlocks(notification) {
+
+    var blocks = [],
+        people = [],
+        fields = [];
+
+    var mrkdwn = function(text) {
+        return {type: 'mrkdwn', text: helper.truncate(text, 2900)};
+    };
+
+    var header = (notification.mention ? notification.mention + ' ' : '') + (notification.headline || '');
+
+    if (notification.title) {
+        header += '\n*' + (notification.url ? '<' + notification.url + '|' + notification.title + '>' :
+            notification.title) + '*';
+    }
+
+    blocks.push({type: 'section', text: mrkdwn(header.trim())});
+
+    notification.fields.forEach(function(field) {
+        if (field.title === 'Repo / Branches') {
+            blocks.push({type: 'section', text: mrkdwn('*' + field.title + '*\n' + field.value)});
+        } else if (field.title === 'Author' || / By$/.test(field.title)) {
+            people.push(mrkdwn('*' + field.title + ':* ' + field.value));
+        } else {
+            fields.push(mrkdwn('*' + field.title + '*\n' + field.value));
+        }
+    });
+
+    if (people.length) {
+        blocks.push({type: 'context', elements: people.slice(0, 10)});
+    }
+
+    if (fields.length) {
+        blocks.push({type: 'section', fields: fields.slice(0, 10)});
+    }
+
+    var buttons = (notification.actions || []).map(function(action) {
+        return {
+            type: 'button',
+            action_id: action.name,
+            text: {type: 'plain_text', text: action.text},
+            style: action.style,
+            value: action.value
+        };
+    }).concat(notification.links.map(function(link) {
+        return {type: 'button', text: {type: 'plain_text', text: link.text}, url: link.url};
+    }));
+
+    if (buttons.length) {
+        blocks.push({type: 'actions', elements: buttons});
+    }
+
+    return {
+        text: (notification.mention ? notification.mention + ' ' : '') + notification.summary,
+        blocks: blocks
+    };
+}
+
+
+
+//------------------------------
+// Output Adapters
+//------------------------------
+
+// Renderers turning a notification into the request body of a service, by the `type` of a route's `outputs`
+var OUTPUT_ADAPTERS = {
+    slack: renderSlackMessage,
+    teams: renderTeamsCard,
+    discord: renderDiscordEmbed,
+    json: renderJsonWebhook
+};
+
+
+/**
+ * Render a notification as a Slack message, laid out as configured by `MESSAGE_FORMAT`.
+ *
+ * @param  {object} notification  Notification
+ * @return {object}               Slack-ready message
+ */
+function renderSlackMessage(notification) {
+
+    if (config.messageFormat === 'blocks') {
+        return renderBlocks(notification);
+    }
+
+    var message = {
+        link_names: 1,
+        mrkdwn: true,
+        text: notification.mention,
+        attachments: [{
+            title: notification.title,
+            title_link: notification.url,
+            color: notification.color,
+            fields: notification.fields.map(function(field) {
+                return {title: field.title, value: field.value, short: field.short};
+            }),
+            mrkdwn_in: ['pretext', 'fields'],
+            fallback: notification.summary,
+            pretext: notification.headline
+        }]
+    };
+
+    // attachments take up to 5 buttons, and only show links next to interactive ones
+    if (notification.actions) {
+        message.attachments[0].callback_id = SLACK_ACTION_CALLBACK_ID;
+        message.attachments[0].actions = notification.actions.map(function(action) {
+            return {type: 'button', name: action.name, text: action.text, style: action.style, value: action.value};
+        }).concat(notification.links.map(function(link) {
+            return {type: 'button', text: link.text, url: link.url};
+        })).slice(0, 5);
+    }
+
+    return message;
+}
+
+/**
+ * Render a notification for a Microsoft Teams webhook: an Adaptive Card as accepted by Teams workflows, or with
+ * `card: 'message'` on the output, a MessageCard for the older Office 365 connectors.
+ *
+ * @param  {object} notification  Notification
+ * @param  {object} event         The Cloud-shaped `payload` and `eventKey` the notification was generated from
+ * @param  {object} output        The route's output, with its `type`, `url` and optional `card`
+ * @return {object}               Teams-ready message
+ */
+function renderTeamsCard(notification, event, output) {
+
+    var users = collectUsers(event.payload),
+        headline = mrkdwnToMarkdown(notification.headline, users),
+        plainTitle = notification.title && helper.unescapeMrkdwn(notification.title),
+        title = notification.url ? '[' + plainTitle + '](' + notification.url + ')' : plainTitle;
+
+    var facts = notification.fields.map(function(field) {
+        return {title: helper.unescapeMrkdwn(field.title), value: mrkdwnToMarkdown(field.value, users)};
+    });
+
+    if (output.card === 'message') {
+        return {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: helper.unescapeMrkdwn(notification.summary),
+            themeColor: String(notification.color || '').replace('#', ''),
+            text: headline + (title ? '\n\n**' + title + '**' : ''),
+            sections: [{
+                facts: facts.map(function(fact) {
+                    return {name: fact.title, value: fact.value};
+                }),
+                markdown: true
+            }],
+            potentialAction: notification.links.map(function(link) {
+                return {'@type': 'OpenUri', name: link.text, targets: [{os: 'default', uri: link.url}]};
+            })
+        };
+    }
+
+    var styles = {};
+
+    styles[config.colors.green] = 'good';
+    styles[config.colors.red] = 'attention';
+    styles[config.colors.yellow] = 'warning';
+
+    return {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body: [{
+                    type: 'Container',
+                    style: styles[notification.color] || 'emphasis',
+                    items: [
+                        {type: 'TextBlock', text: headline, wrap: true},
+                        {type: 'TextBlock', text: title || '', weight: 'Bolder', size: 'Medium', wrap: true}
+                    ]
+                }, {
+                    type: 'FactSet',
+                    facts: facts
+                }],
+                actions: notification.links.map(function(link) {
+                    return {type: 'Action.OpenUrl', title: link.text, url: link.url};
+                })
+            }
+        }]
+    };
+}
+
+/**
+ * Render a notification as a Discord webhook embed. Discord only shows buttons to bots, so the links are listed in
+ * the description.
+ *
+ * @param  {object} notification  Notification
+ * @param  {object} event         The Cloud-shaped `payload` and `eventKey` the notification was generated from
+ * @return {object}               Discord-ready message
+ */
+function renderDiscordEmbed(notification, event) {
+
+    var users = collectUsers(event.payload);
+
+    var links = notification.links.map(function(link) {
+        return '[' + link.text + '](' + link.url + ')';
+    }).join(' · ');
+
+    return {
+        embeds: [{
+            title: helper.truncate(helper.unescapeMrkdwn(notification.title), 256),
+            url: notification.url,
+            description: helper.truncate(mrkdwnToMarkdown(notification.headline, users) + (links ? '\n' + links : ''),
+                4000),
+            color: parseInt(String(notification.color || '').replace('#', ''), 16) || undefined,
+            fields: notification.fields.slice(0, 25).map(function(field) {
+                return {
+                    name: helper.truncate(helper.unescapeMrkdwn(field.title), 256),
+                    value: helper.truncate(mrkdwnToMarkdown(field.value, users) || '-', 1000),
+                    inline: field.short
+                };
+            })
+        }],
+        // the mentions are those of Slack users, nobody should be pinged on Discord
+        allowed_mentions: {parse: []}
+    };
+}
+
+/**
+ * Render a notification for a generic JSON webhook, as-is along with the event it was generated from.
+ *
+ * @param  {object} notification  Notification
+ * @param  {object} event         The Cloud-shaped `payload` and `eventKey` the notification was generated from
+ * @return {object}               JSON body
+ */
+function renderJsonWebhook(notification, event) {
+    return {
+        eventKey: event.eventKey,
+        repository: helper.getPossiblyUndefinedKeyValue(event.payload, 'repository.full_name'),
+        notification: notification
+    };
+}
+
+/**
+ * POST a rendered notification as JSON to the URL of an output.
+ *
+ * @param  {object}   body      Rendered notification
+ * @param  {string}   url       HTTPS URL of the webhook
+ * @param  {function} callback  Invoked with an error or the response body
+ */
+function postToWebhook(body, url, callback) {
+
+    logger.debug('Sending notification', {target: maskTarget(url)});
+
+    var location = new URL(url),
+        post_data = JSON.stringify(body);
+
+    var post_options = {
+        host: location.hostname,
+        port: location.port || '443',
+        path: location.pathname + location.search,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(post_data)
+        }
+    };
+
+    sendRequest(post_options, post_data, function(err, response) {
+        // Discord and many others answer 204 without a body
+        callback(err, response && (response.body || 'ok'));
+    });
+}
+
+
+
+//------------------------------
+// Channel Routing
+//------------------------------
+
+
+/**
+ * Convert a route pattern into an anchored regular expression. `**` matches anything, `*` matches anything
+ * but a `/` and every other character is matched literally.
+ *
+ * @param  {string} pattern  Route pattern, eg release/*
+ * @return {RegExp}          Expression matching the whole pattern
+ */
+function globToRegExp(pattern) {
+    var source = String(pattern).split('**').map(function(part) {
+        return part.split('*').map(function(literal) {
+            return literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('[^/]*');
+    }).join('.*');
+
+    return new RegExp('^' + source + '$');
+}
+
+/**
+ * Determine whether any of the values satisfies a route criterion. Criteria left unset match everything.
+ *
+ * @param  {string|string[]} patterns  Pattern(s) configured on the route
+ * @param  {string[]}        values    Values taken from the event
+ * @return {boolean}                   Whether the criterion is satisfied
+ */
+function matchesCriterion(patterns, values) {
+    if (patterns === undefined || patterns === null) {
+        return true;
+    }
+
+    return [].concat(patterns).some(function(pattern) {
+        var expression = globToRegExp(pattern);
+
+        return values.some(function(value) {
+            return value !== undefined && expression.test(value);
+        });
+    });
+}
+
+/**
+ * @param  {object}   data  Payload of the webhook HTTP request
+ * @return {string[]}       Name of the repository the event happened in, for matching against criteria
+ */
+function getEventRepositories(data) {
+    return [data && data.repository && data.repository.name];
+}
+
+/**
+ * @param  {object}   data  Payload of the webhook HTTP request
+ * @return {string[]}       The destination branch of a pull-request, the pushed branches / tags or the branch a build
+ *                          ran on, for matching against criteria
+ */
+function getEventBranches(data) {
+    var branches = [];
+
+    data = data || {};
+
+    if (data.pullrequest) {
+        var destination = data.pullrequest.destination || {};
+        branches.push(destination.branch && destination.branch.name);
+    }
+
+    if (data.commit_status) {
+        branches.push(data.commit_status.refname);
+    }
+
+    if (data.push && Array.isArray(data.push.changes)) {
+        data.push.changes.forEach(function(change) {
+            var target = change && (change.new || change.old);
+            branches.push(target && target.name);
+        });
+    }
+
+    return branches;
+}
+
+/**
+ * Resolve the Slack webhook paths, Web API channels and other outputs an event should be delivered to, using the
+ * configured routes.
+ *
+ * @param  {object} data      Payload of the webhook HTTP request
+ * @param  {string} eventKey  Event-Key identified by webhook HTTP header
+ * @return {object}           Unique `webhooks`, `channels` and `outputs`, all empty when the event should be dropped,
+ *                            and the message `templates` of each of them, keyed by webhook, channel or output URL
+ */
+function routeEvent(data, eventKey) {
+
+    if (!config.routes.length) {
+        return config.slackBotToken ?
+            {webhooks: [], channels: [config.slackChannel], outputs: [], templates: {}} :
+            {webhooks: [config.slackPath], channels: [], outputs: [], templates: {}};
+    }
+
+    var repositories = getEventRepositories(data),
+        branches = getEventBranches(data);
+
+    var targets = {webhooks: [], channels: [], outputs: [], templates: {}};
+
+    var addUnique = function(list, values, templates) {
+        [].concat(values || []).forEach(function(value) {
+            var key = value.url || value;
+
+            if (!targets.templates.hasOwnProperty(key)) {
+                list.push(value);
+                targets.templates[key] = templates;
+            }
+        });
+    };
+
+    config.routes.forEach(function(route) {
+        if (matchesCriterion(route.repositories, repositories) &&
+            matchesCriterion(route.branches, branches) &&
+            matchesCriterion(route.events, [eventKey])) {
+
+            var templates = route.templates ? mergeConfig(config.templates, route.templates) : config.templates;
+
+            addUnique(targets.webhooks, route.webhooks, templates);
+            addUnique(targets.channels, route.channels, templates);
+            addUnique(targets.outputs, route.outputs, templates);
+        }
+    });
+
+    logger.info('Event routed', {
+        webhooks: targets.webhooks.length,
+        channels: targets.channels.length,
+        outputs: targets.outputs.length
+    });
+
+    return targets;
+}
+
+
+//------------------------------
+// State Store
+//------------------------------
+
+
+/**
+ * Keeps state in the memory of the running Lambda container. Entries survive warm invocations only, which makes
+ * this store suited to tests and low-traffic setups.
+ *
+ * @return {object}  Store exposing `get(key, callback)` and `set(key, value, callback)`
+ */
+function createMemoryStore() {
+    var entries = {};
+
+    return {
+        get: function(key, callback) {
+            callback(null, entries.hasOwnProperty(key) ? entries[key] : undefined);
+        },
+
+        set: function(key, value, callback) {
+            entries[key] = value;
+            callback(null);
+        }
+    };
+}
+
+/**
+ * Keeps state in a local JSON file, eg for replaying events on a development machine.
+ *
+ * @param  {string} path  Location of the JSON file, created on first write
+ * @return {object}       Store exposing `get(key, callback)` and `set(key, value, callback)`
+ */
+function createFileStore(path) {
+    var fs = require('fs');
+
+    var read = function(callback) {
+        fs.readFile(path, 'utf8', function(err, contents) {
+            if (err && err.code === 'ENOENT') {
+                return callback(null, {});
+            }
+
+            if (err) {
+                return callback(err);
+            }
+
+            try {
+                callback(null, JSON.parse(contents));
+            } catch (e) {
+                callback(e);
+            }
+        });
+    };
+
+    return {
+        get: function(key, callback) {
+            read(function(err, entries) {
+                callback(err, entries && entries[key]);
+            });
+        },
+
+        set: function(key, value, callback) {
+            read(function(err, entries) {
+                if (err) {
+                    return callback(err);
+                }
+
+                entries[key] = value;
+                fs.writeFile(path, JSON.stringify(entries, null, 2), callback);
+            });
+        }
+    };
+}
+
+/**
+ * Load a package of the AWS SDK for JavaScript v3.
+ *
+ * @param  {string} name  Package name, eg @aws-sdk/client-dynamodb
+ * @return {object}       The package's exports
+ */
+function requireAwsSdk(name) {
+    try {
+        return require(name);
+    } catch (e) {
+        throw new Error(name + ' is not available: run on a Node.js 18 or later Lambda runtime, which provides it, ' +
+            'or deploy it with the function');
+    }
+}
+
+/**
+ * Send a command through a client of the AWS SDK, calling back once it settles. The callback is invoked outside the
+ * SDK's promise, so that whatever it throws is not mistaken for a failed command.
+ *
+ * @param  {object}   client    AWS SDK v3 client
+ * @param  {object}   command   Command to send, eg a `GetCommand`
+ * @param  {function} callback  Invoked with an error or the command's output
+ */
+function sendAwsCommand(client, command, callback) {
+    client.send(command).then(function(output) {
+        setImmediate(callback, null, output);
+    }, function(err) {
+        setImmediate(callback, err);
+    });
+}
+
+/**
+ * Keeps state in a DynamoDB table with a string partition key named `id`. When `ttlDays` is given, items carry an
+ * `expires` epoch-seconds attribute that can be enabled as the table's TTL attribute.
+ *
+ * @param  {string} tableName  Name of the DynamoDB table
+ * @param  {number} ttlDays    Optional number of days to keep items for
+ * @return {object}            Store exposing `get(key, callback)` and `set(key, value, callback)`
+ */
+function createDynamoStore(tableName, ttlDays) {
+    var documents,
+        client;
+
+    // the SDK is loaded on first use, so that a missing one fails the lookup rather than the invocation
+    var send = function(command, input, callback) {
+        try {
+            documents = documents || requireAwsSdk('@aws-sdk/lib-dynamodb');
+            client = client || documents.DynamoDBDocumentClient.from(
+                new (requireAwsSdk('@aws-sdk/client-dynamodb').DynamoDBClient)({}));
+        } catch (e) {
+            return callback(e);
+        }
+
+        sendAwsCommand(client, new documents[command](input), callback);
+    };
+
+    return {
+        get: function(key, callback) {
+            send('GetCommand', {TableName: tableName, Key: {id: key}}, function(err, output) {
+                callback(err, output && output.Item ? output.Item.value : undefined);
+            });
+        },
+
+        set: function(key, value, callback) {
+            var item = {id: key, value: value};
+
+            if (ttlDays) {
+                item.expires = Math.floor(Date.now() / 1000) + ttlDays * 86400;
+            }
+
+            send('PutCommand', {TableName: tableName, Item: item}, function(err) {
+                callback(err);
+            });
+        }
+    };
+}
+
+/**
+ * Build a store from its configuration. An object already implementing `get` and `set` is used as-is.
+ *
+ * @param  {object} options  Store configuration, eg {type: 'dynamodb', table: 'bitbucket-slack-proxy'}
+ * @return {object}          Store exposing `get(key, callback)` and `set(key, value, callback)`
+ */
+function createStore(options) {
+    options = options || {};
+
+    if (typeof options.get === 'function' && typeof options.set === 'function') {
+        return options;
+    }
+
+    switch (options.type) {
+        case 'file':
+            return createFileStore(options.path);
+        case 'dynamodb':
+            return createDynamoStore(options.table, options.ttlDays);
+        default:
+            return createMemoryStore();
+    }
+}
+
+var threadStore;
+
+/**
+ * @return {object}  The store remembering Slack threads, created from the configuration on first use
+ */
+function getThreadStore() {
+    threadStore = threadStore || createStore(config.threadStore);
+    return threadStore;
+}
+
+
+//------------------------------
+// Deduplication & Debouncing
+//------------------------------
+
+
+/**
+ * Determine whether a webhook delivery has already been processed, as Bitbucket redelivers it under the same
+ * request UUID. State that cannot be read is not fatal; the delivery is then processed as new.
+ *
+ * @param  {string}   requestUuid  The delivery's X-Request-UUID, if any
+ * @param  {function} callback     Invoked with whether the delivery is a duplicate
+ */
+function isDuplicateRequest(requestUuid, callback) {
+
+    if (!requestUuid || !config.deduplication.requestTtl) {
+        return callback(false);
+    }
+
+    getThreadStore().get('request:' + requestUuid, function(err, seen) {
+        if (err) {
+            logger.warn('Could not check for a duplicate delivery', {error: err.message});
+        }
+
+        callback(!err && !!seen && Date.now() - seen.at < config.deduplication.requestTtl * 1000);
+    });
+}
+
+/**
+ * Wrap an invocation so that a successfully processed delivery is remembered for `isDuplicateRequest`. Failed
+ * deliveries are not remembered, so that Bitbucket's retries of them get processed.
+ *
+ * @param  {string} requestUuid  The delivery's X-Request-UUID, if any
+ * @param  {object} invocation   Invocation created by `createInvocation`
+ * @return {object}              Invocation exposing the same methods
+ */
+function rememberRequest(requestUuid, invocation) {
+
+    if (!requestUuid || !config.deduplication.requestTtl) {
+        return invocation;
+    }
+
+    return {
+        succeed: function(message, statusCode) {
+            getThreadStore().set('request:' + requestUuid, {at: Date.now()}, function(err) {
+                if (err) {
+                    logger.warn('Could not remember the delivery', {error: err.message});
+                }
+
+                invocation.succeed(message, statusCode);
+            });
+        },
+
+        fail: invocation.fail,
+
+        getRemainingTimeInMillis: invocation.getRemainingTimeInMillis
+    };
+}
+
+/**
+ * Look up the targets that an earlier attempt at a webhook delivery reached before others failed, so that
+ * Bitbucket's retry of it only goes to the targets that failed.
+ *
+ * @param  {string}   requestUuid  The delivery's X-Request-UUID, if any
+ * @param  {function} callback     Invoked with the targets already delivered to, possibly none
+ */
+function getDeliveredTargets(requestUuid, callback) {
+
+    if (!requestUuid || !config.deduplication.requestTtl) {
+        return callback([]);
+    }
+
+    getThreadStore().get('delivered:' + requestUuid, function(err, delivered) {
+        if (err) {
+            logger.warn('Could not check the targets already delivered to', {error: err.message});
+        }
+
+        callback(!err && delivered && Date.now() - delivered.at < config.deduplication.requestTtl * 1000 ?
+            delivered.targets : []);
+    });
+}
+
+/**
+ * Remember the targets a partly failed webhook delivery reached, for `getDeliveredTargets`.
+ *
+ * @param  {string}   requestUuid  The delivery's X-Request-UUID, if any
+ * @param  {string[]} targets      Every target delivered to so far
+ * @param  {function} callback     Invoked once remembered (or remembering failed)
+ */
+function rememberDeliveredTargets(requestUuid, targets, callback) {
+
+    if (!requestUuid || !config.deduplication.requestTtl || !targets.length) {
+        return callback();
+    }
+
+    getThreadStore().set('delivered:' + requestUuid, {at: Date.now(), targets: targets}, function(err) {
+        if (err) {
+            logger.warn('Could not remember the targets delivered to', {error: err.message});
+        }
+
+        callback();
+    });
+}
+
+/**
+ * Work out whether a `pullrequest:updated` event falls within the debounce window opened by an earlier update of the
+ * pull-request. The returned state records where the first update of the window was posted, and is saved with
+ * `saveDebounce` once delivered.
+ *
+ * @param  {object}   event     The Cloud-shaped `payload` and `eventKey`
+ * @param  {function} callback  Invoked with the debounce `key`, whether the event is `collapsed` and its `state`
+ *                              of `at`, `count` and posted `messages` by channel; or nothing when not debounced
+ */
+function debounceEvent(event, callback) {
+
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, event.payload),
+        prId = getKey('pullrequest.id'),
+        window = config.deduplication.debounceWindow * 1000;
+
+    if (!window || event.eventKey !== 'pullrequest:updated' || prId === undefined) {
+        return callback(undefined);
+    }
+
+    var key = ['debounce', getKey('pullrequest.destination.repository.full_name') || getKey('repository.full_name'),
+        prId].join(':');
+
+    getThreadStore().get(key, function(err, state) {
+        if (err) {
+            logger.warn('Could not debounce', {key: key, error: err.message});
+            return callback(undefined);
+        }
+
+        var now = Date.now(),
+            collapsed = !!state && now - state.at < window;
+
+        // measured from the first update, so that a steady stream of updates still posts a message every window
+        state = collapsed ? state : {at: now, count: 0, messages: {}};
+        state.count++;
+
+        callback({key: key, collapsed: collapsed, state: state});
+    });
+}
+
+/**
+ * @param  {object}   debounce  Debounce returned by `debounceEvent`
+ * @param  {function} callback  Invoked once saved, whether or not that succeeded
+ */
+function saveDebounce(debounce, callback) {
+    getThreadStore().set(debounce.key, debounce.state, function(err) {
+        if (err) {
+            logger.warn('Could not save the debounce state', {key: debounce.key, error: err.message});
+        }
+
+        callback();
+    });
+}
+
+/**
+ * Note on a formatted message how many updates it stands for.
+ *
+ * @param  {object} message  Slack-ready message, left untouched
+ * @param  {number} count    Number of collapsed updates
+ * @return {object}          The annotated message
+ */
+function noteCollapsedUpdates(message, count) {
+    var note = ' _(' + count + ' updates)_',
+        annotated = JSON.parse(JSON.stringify(message));
+
+    if (annotated.blocks) {
+        annotated.blocks[0].text.text += note;
+        annotated.text += note;
+    } else {
+        annotated.attachments[0].pretext = (annotated.attachments[0].pretext || '') + note;
+        annotated.attachments[0].fallback = (annotated.attachments[0].fallback || '') + note;
+    }
+
+    return annotated;
+}
+
+
+//------------------------------
+// Reliable Delivery
+//------------------------------
+
+// Latest time, in epoch milliseconds, by which deliveries must finish. Set per invocation from the Lambda context.
+var invocationDeadline;
+
+// Time kept in reserve at the end of an invocation to report failures, in milliseconds
+var DEADLINE_MARGIN = 1000;
+
+
+/**
+ * Send an HTTPS request. Network errors, timeouts, 429 rate limits and 5xx responses are retried with exponential
+ * backoff (or after the `Retry-After` the server asked for) for as long as the invocation has time left.
+ *
+ * @param  {object}   options   Options for `https.request`
+ * @param  {string}   body      Request body, if any
+ * @param  {function} callback  Invoked with an error or the response as `{statusCode, headers, body}`
+ */
+function sendRequest(options, body, callback) {
+
+    var delivery = config.delivery,
+        attempt = 0;
+
+    var retry = function(err, delay) {
+        if (delay === undefined) {
+            delay = Math.min(delivery.maxDelay, delivery.baseDelay * Math.pow(2, attempt - 1));
+            delay = Math.round(delay / 2 + Math.random() * delay / 2);
+        }
+
+        var outOfTime = invocationDeadline &&
+            Date.now() + delay + delivery.timeout + DEADLINE_MARGIN > invocationDeadline;
+
+        if (attempt > delivery.retries || outOfTime) {
+            err.message += ' (gave up after ' + attempt + ' attempt' + (attempt > 1 ? 's' : '') + ')';
+            return callback(err);
+        }
+
+        logger.warn('Retrying request', {host: options.host, attempt: attempt, delayMs: delay, error: err.message});
+        setTimeout(send, delay);
+    };
+
+    var send = function() {
+        var finished = false;
+
+        attempt++;
+
+        var finish = function(err, response) {
+            if (finished) {
+                return;
+            }
+
+            finished = true;
+
+            if (err) {
+                return retry(err);
+            }
+
+            if (response.statusCode === 429) {
+                var retryAfter = parseInt(response.headers['retry-after'], 10);
+
+                return retry(new Error('Rate limited by ' + options.host),
+                    isNaN(retryAfter) ? undefined : retryAfter * 1000);
+            }
+
+            if (response.statusCode >= 500) {
+                return retry(new Error(options.host + ' responded ' + response.statusCode + ': ' + response.body));
+            }
+
+            if (response.statusCode >= 400) {
+                var failure = new Error(options.host + ' responded ' + response.statusCode + ': ' + response.body);
+                failure.statusCode = response.statusCode;
+                return callback(failure);
+            }
+
+            callback(null, response);
+        };
+
+        var request = https.request(options, function(res) {
+            var responseBody = '';
+
+            res.setEncoding('utf8');
+
+            res.on('data', function(chunk) {
+                responseBody += chunk;
+            });
+
+            res.on('end', function() {
+                finish(null, {statusCode: res.statusCode, headers: res.headers, body: responseBody});
+            });
+
+            res.on('error', finish);
+        });
+
+        request.setTimeout(delivery.timeout, function() {
+            request.destroy(new Error('Request to ' + options.host + ' timed out after ' + delivery.timeout + 'ms'));
+        });
+
+        request.on('error', finish);
+
+        if (body) {
+            request.write(body);
+        }
+
+        request.end();
+    };
+
+    send();
+}
+
+/**
+ * Park messages that could not be delivered on the configured SQS dead-letter queue, so they can be inspected or
+ * replayed later. Does nothing when no queue is configured.
+ *
+ * @param  {object[]} failures  Failed deliveries as `{target, error, message}`
+ * @param  {string}   eventKey  Event-Key of the webhook the messages were generated from
+ * @param  {function} callback  Invoked with whether the failures were queued
+ */
+function sendToDeadLetterQueue(failures, eventKey, callback) {
+
+    if (!config.delivery.deadLetterQueueUrl) {
+        return callback(false);
+    }
+
+    var sqs;
+
+    var done = function(err) {
+        if (err) {
+            logger.error('Unable to queue failed deliveries', {error: err.message});
+        }
+
+        callback(!err);
+    };
+
+    try {
+        sqs = requireAwsSdk('@aws-sdk/client-sqs');
+    } catch (e) {
+        return done(e);
+    }
+
+    sendAwsCommand(new sqs.SQSClient({}), new sqs.SendMessageCommand({
+        QueueUrl: config.delivery.deadLetterQueueUrl,
+        MessageBody: JSON.stringify({eventKey: eventKey, failures: failures})
+    }), done);
+}
+
+
+
+//------------------------------
+// Slack Submission
+//------------------------------
+
+
+/**
+ * Deliver a generated notification to every routed Slack webhook, channel and other output, with each target's
+ * templates applied and rendered by its output adapter. Succeeds once all of them have accepted it. Deliveries that
+ * fail for good are dead-lettered, and the webhook then still succeeds; without a dead-letter queue it fails so that
+ * Bitbucket retries it, and the retry skips the targets already delivered to. Updates collapsed by `debounceEvent`
+ * edit the message posted to a channel for the first update instead, and are not delivered elsewhere.
+ *
+ * @param  {object} generated   The `notification` and `data` returned by `generateMessage`
+ * @param  {object} targets     Routed `webhooks`, `channels`, `outputs` and their `templates`
+ * @param  {object} event       The Cloud-shaped `payload` and `eventKey` the message was generated from, the
+ *                              `requestUuid` of the delivery and the `debounce` of `debounceEvent` when debounced
+ * @param  {object} appContext  The Lambda context in which to invoke callbacks, etc
+ */
+function sendNotification(generated, targets, event, appContext) {
+
+    var deliveries = [],
+        debounce = event.debounce,
+        collapsed = !!debounce && debounce.collapsed;
+
+    var format = function(target) {
+        return formatNotification(generated, event, targets.templates[target] || config.templates);
+    };
+
+    targets.webhooks.forEach(function(webhook) {
+        if (collapsed) {
+            return;
+        }
+
+        var message = renderSlackMessage(format(webhook));
+
+        deliveries.push({
+            target: webhook,
+            destination: 'slack-webhook',
+            message: message,
+            send: function(callback) {
+                postToSlack(message, webhook, callback);
+            }
+        });
+    });
+
+    targets.outputs.forEach(function(output) {
+        if (collapsed) {
+            return;
+        }
+
+        var message = OUTPUT_ADAPTERS[output.type](format(output.url), event, output);
+
+        deliveries.push({
+            target: output.url,
+            destination: output.type,
+            message: message,
+            send: function(callback) {
+                postToWebhook(message, output.url, callback);
+            }
+        });
+    });
+
+    targets.channels.forEach(function(channel) {
+        var message = renderSlackMessage(format(channel)),
+            previous = collapsed && debounce.state.messages[channel];
+
+        if (collapsed && !previous) {
+            return;
+        }
+
+        if (previous) {
+            message = noteCollapsedUpdates(message, debounce.state.count);
+        }
+
+        deliveries.push({
+            target: channel,
+            destination: 'slack-channel',
+            message: message,
+            send: function(callback) {
+                if (previous) {
+                    var params = JSON.parse(JSON.stringify(message));
+
+                    params.channel = previous.channel;
+                    params.ts = previous.ts;
+
+                    return callSlackApi('chat.update', params, callback);
+                }
+
+                if (/^repo:commit_status_/.test(event.eventKey)) {
+                    return sendBuildStatus(message, channel, event, callback);
+                }
+
+                postToChannel(message, channel, event, function(err, response) {
+                    if (!err && debounce) {
+                        debounce.state.messages[channel] = {channel: response.channel, ts: response.ts};
+                    }
+
+                    callback(err, response);
+                });
+            }
+        });
+    });
+
+    getDeliveredTargets(event.requestUuid, function(delivered) {
+        var pending = deliveries.filter(function(delivery) {
+            return delivered.indexOf(delivery.target) < 0;
+        });
+
+        if (pending.length < deliveries.length) {
+            logger.info('Skipping targets already delivered to', {targets: deliveries.length - pending.length});
+        }
+
+        runDeliveries(pending, function(failures, bodies) {
+            var finish = function() {
+                if (!failures.length) {
+                    if (collapsed) {
+                        annotateTrace({outcome: 'collapsed'});
+                    }
+
+                    appContext.succeed(pending.length ? bodies.join('\n') : deliveries.length ?
+                        'Already delivered to every target' :
+                        'Collapsed update ' + debounce.state.count + ' of ' + debounce.key);
+                    return;
+                }
+
+                var reached = pending.filter(function(delivery) {
+                    return !failures.some(function(failure) {
+                        return failure.target === delivery.target;
+                    });
+                }).map(function(delivery) {
+                    return delivery.target;
+                });
+
+                rememberDeliveredTargets(event.requestUuid, delivered.concat(reached), function() {
+                    sendToDeadLetterQueue(failures, event.eventKey, function(queued) {
+                        if (queued) {
+                            annotateTrace({outcome: 'dead-lettered'});
+                            appContext.succeed('Queued ' + failures.length +
+                                ' failed delivery(ies) on the dead-letter queue');
+                            return;
+                        }
+
+                        appContext.fail('error:' + failures.map(function(failure) {
+                            return failure.error;
+                        }).join('; '), 502);
+                    });
+                });
+            };
+
+            if (debounce) {
+                saveDebounce(debounce, finish);
+            } else {
+                finish();
+            }
+        });
+    });
+}
+
+/**
+ * Send a batch of deliveries side by side, logging and measuring how long each took by its destination.
+ *
+ * @param  {object[]} deliveries  Deliveries as `{target, destination, message, send(callback)}`, where the
+ *                                destination is the kind of target, eg slack-webhook or teams
+ * @param  {function} callback    Invoked once all of them finished, with the failed deliveries as
+ *                                `{target, error, message}` and the response bodies of the others
+ */
+function runDeliveries(deliveries, callback) {
+
+    var pending = deliveries.length,
+        bodies = [],
+        failures = [];
+
+    if (!pending) {
+        return callback(failures, bodies);
+    }
+
+    deliveries.forEach(function(delivery, index) {
+        var startedAt = Date.now();
+
+        delivery.send(function(err, body) {
+            var details = {
+                destination: delivery.destination,
+                target: maskTarget(delivery.target),
+                durationMs: Date.now() - startedAt
+            };
+
+            putMetrics({Deliveries: 1, DeliveryFailures: err ? 1 : 0, DeliveryLatency: details.durationMs},
+                {Destination: delivery.destination}, [['Destination']]);
+
+            if (err) {
+                details.error = err.message;
+                logger.error('Delivery failed', details);
+                failures.push({target: delivery.target, error: err.message, message: delivery.message});
+            } else {
+                logger.info('Delivered', details);
+                bodies[index] = typeof body === 'string' ? body : JSON.stringify(body);
+            }
+
+            if (--pending === 0) {
+                callback(failures, bodies);
+            }
+        });
+    });
+}
+
+/**
+ * Properly encode and submit a normalized payload to Slack's POST endpoint.
+ *
+ * @param  {object}   data      Slack-ready normalized payload
+ * @param  {string}   path      Slack endpoint path
+ * @param  {function} callback  Invoked with an error or the response body
+ */
+function postToSlack(data, path, callback) {
+
+    logger.debug('Sending normalized event to Slack');
+
+    // Build the post string from an object
+    var post_data = JSON.stringify(data);
+
+    // An object of options to indicate where to post to
+    var post_options = {
+        host: 'hooks.slack.com',
+        port: '443',
+        path: path,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'text/plain',
+            'Content-Length': Buffer.byteLength(post_data)
+        }
+    };
+
+    sendRequest(post_options, post_data, function(err, response) {
+        callback(err, response && response.body);
+    });
+}
+
+
+/**
+ * Call a Slack Web API method with the configured bot token.
+ *
+ * @param  {string}   method    Web API method, eg chat.postMessage
+ * @param  {object}   params    JSON arguments of the method
+ * @param  {function} callback  Invoked with an error or the parsed response
+ */
+function callSlackApi(method, params, callback) {
+
+    logger.debug('Calling Slack Web API', {method: method});
+
+    // Read methods such as users.lookupByEmail do not accept JSON arguments
+    var form = method.indexOf('users.') === 0,
+        post_data = form ? querystring.stringify(params) : JSON.stringify(params);
+
+    var post_options = {
+        host: 'slack.com',
+        port: '443',
+        path: '/api/' + method,
+        method: 'POST',
+        headers: {
+            'Authorization': 'Bearer ' + config.slackBotToken,
+            'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(post_data)
+        }
+    };
+
+    sendRequest(post_options, post_data, function(err, res) {
+        if (err) {
+            return callback(err);
+        }
+
+        var response;
+
+        try {
+            response = JSON.parse(res.body);
+        } catch (e) {
+            return callback(new Error('Unexpected response from ' + method + ': ' + res.body));
+        }
+
+        if (!response.ok) {
+            return callback(new Error(method + ' failed: ' + response.error));
+        }
+
+        callback(null, response);
+    });
+}
+
+/**
+ * Identify the Slack thread a pull-request's messages are grouped under in a channel.
+ *
+ * @param  {object} payload  Cloud-shaped webhook payload
+ * @param  {string} channel  Slack channel ID
+ * @return {string}          Store key, or undefined for events that do not belong to a pull-request
+ */
+function getThreadKey(payload, channel) {
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, payload),
+        prId = getKey('pullrequest.id'),
+        repository = getKey('pullrequest.destination.repository.full_name') || getKey('repository.full_name');
+
+    if (prId === undefined) {
+        return undefined;
+    }
+
+    return ['thread', repository, prId, channel].join(':');
+}
+
+/**
+ * Post a normalized payload to a channel through the Slack Web API. The `created` message of a pull-request starts
+ * a thread that its later events reply in, and merging or declining the pull-request also updates that first
+ * message to show the final state.
+ *
+ * @param  {object}   data      Slack-ready normalized payload
+ * @param  {string}   channel   Slack channel ID
+ * @param  {object}   event     The Cloud-shaped `payload` and `eventKey` the message was generated from
+ * @param  {function} callback  Invoked with an error or the parsed response of chat.postMessage
+ */
+function postToChannel(data, channel, event, callback) {
+
+    var threadKey = getThreadKey(event.payload, channel),
+        store = getThreadStore();
+
+    var postMessage = function(threadTs, done) {
+        var params = JSON.parse(JSON.stringify(data));
+
+        params.channel = channel;
+
+        if (threadTs) {
+            params.thread_ts = threadTs;
+        }
+
+        callSlackApi('chat.postMessage', params, done);
+    };
+
+    // the message builds of its commits are shown on: the first one of the thread, or else the one just posted
+    var remember = function(thread, response) {
+        rememberCommitMessage(event, channel, thread ? {threadKey: threadKey} :
+            {channel: response.channel, ts: response.ts, message: data}, function() {
+            callback(null, response);
+        });
+    };
+
+    if (!threadKey) {
+        return postMessage(undefined, function(err, response) {
+            return err ? callback(err) : remember(undefined, response);
+        });
+    }
+
+    if (event.eventKey === 'pullrequest:created') {
+        return postMessage(undefined, function(err, response) {
+            if (err) {
+                return callback(err);
+            }
+
+            // the message is posted either way, and failing the delivery would only have it posted again
+            store.set(threadKey, {channel: response.channel, ts: response.ts, message: data}, function(err) {
+                if (err) {
+                    logger.warn('Unable to remember the thread of a pull-request', {
+                        threadKey: threadKey,
+                        error: err.message
+                    });
+                }
+
+                remember(true, response);
+            });
+        });
+    }
+
+    store.get(threadKey, function(err, thread) {
+        if (err) {
+            return callback(err);
+        }
+
+        postMessage(thread && thread.ts, function(err, response) {
+            if (err) {
+                return callback(err);
+            }
+
+            if (!thread || ['pullrequest:fulfilled', 'pullrequest:rejected'].indexOf(event.eventKey) < 0) {
+                return remember(thread, response);
+            }
+
+            var parent = JSON.parse(JSON.stringify(thread.message));
+
+            if (parent.blocks && data.blocks) {
+                parent.text = data.text;
+                parent.blocks[0] = data.blocks[0];
+            } else if (parent.attachments && data.attachments) {
+                ['pretext', 'fallback', 'color'].forEach(function(key) {
+                    parent.attachments[0][key] = data.attachments[0][key];
+                });
+            }
+
+            var params = JSON.parse(JSON.stringify(parent));
+
+            params.channel = thread.channel;
+            params.ts = thread.ts;
+
+            callSlackApi('chat.update', params, function(err) {
+                if (err) {
+                    return callback(err, response);
+                }
+
+                // kept up to date, as builds are added to the message later on
+                thread.message = parent;
+
+                store.set(threadKey, thread, function(err) {
+                    callback(err, response);
+                });
+            });
+        });
+    });
+}
+
+
+//------------------------------
+// Build Status
+//------------------------------
+
+// How the states of a Bitbucket commit status are shown, with the name of their `config.colors` entry
+var BUILD_STATES = {
+    INPROGRESS: {label: 'In Progress', color: 'yellow', icon: '⏳'},
+    SUCCESSFUL: {label: 'Successful', color: 'green', icon: '✅'},
+    FAILED: {label: 'Failed', color: 'red', icon: '❌'},
+    STOPPED: {label: 'Stopped', color: 'yellow', icon: '⏹'}
+};
+
+// Title of the field listing the builds of a commit in the message they were added to
+var BUILD_FIELD_TITLE = 'Builds';
+
+
+/**
+ * @param  {object}  data  Cloud-shaped payload of a `repo:commit_status_*` event
+ * @return {boolean}       Whether the build failed on a protected branch, see `BUILD_STATUS`
+ */
+function isEscalatedBuild(data) {
+    var status = helper.getPossiblyUndefinedKeyValue(data, 'commit_status') || {};
+
+    return status.state === 'FAILED' &&
+        matchesCriterion(config.buildStatus.protectedBranches, [status.refname]) && !!status.refname;
+}
+
+/**
+ * Build the store key remembering the message posted to a channel for a commit. Pull-requests only carry the
+ * first 12 characters of their commit hashes, so that is all the key uses.
+ *
+ * @param  {object} data     Cloud-shaped payload of the webhook HTTP request
+ * @param  {string} hash     Commit hash
+ * @param  {string} channel  Channel ID
+ * @return {string}          The store key
+ */
+function getCommitKey(data, hash, channel) {
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, data),
+        repository = getKey('repository.full_name') || getKey('pullrequest.destination.repository.full_name');
+
+    return ['commit', repository, String(hash).substring(0, 12), channel].join(':');
+}
+
+/**
+ * @param  {object}   event  The Cloud-shaped `payload` and `eventKey`
+ * @return {string[]}        The commits whose builds are shown on the message of the event: the head of the source
+ *                           branch of a pull-request, or the new heads of a push
+ */
+function getEventCommits(event) {
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, event.payload);
+
+    if (/^pullrequest:/.test(event.eventKey)) {
+        return [getKey('pullrequest.source.commit.hash')].filter(Boolean);
+    }
+
+    if (event.eventKey === 'repo:push') {
+        return [].concat(getKey('push.changes') || []).map(function(change) {
+            return helper.getPossiblyUndefinedKeyValue(change, 'new.target.hash');
+        }).filter(Boolean);
+    }
+
+    return [];
+}
+
+/**
+ * Remember the message posted to a channel for the commits of an event, for `sendBuildStatus` to add their builds
+ * to. Messages in the thread of a pull-request point to the thread's first message, which is the one updated.
+ * Failures only cost the build status, never the message.
+ *
+ * @param  {object}   event     The Cloud-shaped `payload` and `eventKey`
+ * @param  {string}   channel   Channel ID the message was posted to
+ * @param  {object}   posted    The stored thread as `{threadKey}`, or the `channel`, `ts` and `message` posted
+ * @param  {function} callback  Invoked once every commit has been remembered
+ */
+function rememberCommitMessage(event, channel, posted, callback) {
+
+    var commits = getEventCommits(event),
+        pending = commits.length;
+
+    if (!pending) {
+        return callback();
+    }
+
+    commits.forEach(function(hash) {
+        getThreadStore().set(getCommitKey(event.payload, hash, channel), posted, function(err) {
+            if (err) {
+                logger.warn('Unable to remember the message of a commit', {hash: hash, error: err.message});
+            }
+
+            if (--pending === 0) {
+                callback();
+            }
+        });
+    });
+}
+
+/**
+ * Show a field in a Slack message, replacing the field of the same title if there is one. Works on both the
+ * attachments and the Block Kit layout.
+ *
+ * @param  {object}          message  Slack message as rendered by `renderSlackMessage`, left untouched
+ * @param  {string}          title    Title of the field
+ * @param  {string|function} value    Slack mrkdwn value of the field, or a function turning the current value (if
+ *                                    any) into the new one
+ * @return {object}                   The updated message
+ */
+function setMessageField(message, title, value) {
+
+    var updated = JSON.parse(JSON.stringify(message)),
+        render = typeof value === 'function' ? value : function() {
+            return value;
+        };
+
+    if (updated.attachments && updated.attachments.length) {
+        var fields = updated.attachments[0].fields = updated.attachments[0].fields || [],
+            existing = fields.filter(function(field) {
+                return field.title === title;
+            })[0];
+
+        if (existing) {
+            existing.value = render(existing.value);
+        } else {
+            fields.push({title: title, value: render(undefined), short: false});
+        }
+
+        return updated;
+    }
+
+    var blocks = updated.blocks || [],
+        prefix = '*' + title + '*\n',
+        section = blocks.filter(function(block) {
+            return block.type === 'section' && block.fields;
+        })[0];
+
+    var replaced = section && section.fields.some(function(field) {
+        if (field.text.indexOf(prefix) === 0) {
+            field.text = prefix + render(field.text.substring(prefix.length));
+            return true;
+        }
+    });
+
+    if (replaced) {
+        return updated;
+    }
+
+    var text = prefix + render(undefined);
+
+    if (section && section.fields.length < 10) {
+        section.fields.push({type: 'mrkdwn', text: text});
+        return updated;
+    }
+
+    // before the buttons, if there are any
+    var actions = blocks.length && blocks[blocks.length - 1].type === 'actions' ? 1 : 0;
+
+    blocks.splice(blocks.length - actions, 0, {type: 'section', fields: [{type: 'mrkdwn', text: text}]});
+    updated.blocks = blocks;
+
+    return updated;
+}
+
+/**
+ * Deliver the status of a build to a channel: added in place to the pull-request or push message posted there for
+ * its commit, or else posted as the given notice. Escalated failures are posted as a notice either way, so that they
+ * ping someone.
+ *
+ * @param  {object}   message   The notice, rendered by `renderSlackMessage`
+ * @param  {string}   channel   Channel ID
+ * @param  {object}   event     The Cloud-shaped `payload` and `eventKey` of a `repo:commit_status_*` event
+ * @param  {function} callback  Invoked with an error or the response of the last Slack call
+ */
+function sendBuildStatus(message, channel, event, callback) {
+
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, event.payload),
+        hash = getKey('commit_status.commit.hash'),
+        store = getThreadStore(),
+        commitKey = hash && getCommitKey(event.payload, hash, channel);
+
+    var postNotice = function() {
+        postToChannel(message, channel, event, callback);
+    };
+
+    if (!commitKey) {
+        return postNotice();
+    }
+
+    store.get(commitKey, function(err, commit) {
+        if (err || !commit) {
+            return err ? callback(err) : postNotice();
+        }
+
+        var postedKey = commit.threadKey || commitKey;
+
+        var update = function(err, posted) {
+            if (err || !posted) {
+                return err ? callback(err) : postNotice();
+            }
+
+            var stateName = getKey('commit_status.state'),
+                state = BUILD_STATES[stateName] || {label: stateName, icon: '•'},
+                name = getKey('commit_status.name') || getKey('commit_status.key') || 'Build',
+                url = getKey('commit_status.url');
+
+            // one line per build of the commit, as several pipelines may report on it
+            posted.builds = posted.builds || {};
+            posted.builds[name] = state.icon + ' ' + (url ? '<' + url + '|' + name + '>' : name) + ': ' + state.label;
+
+            var lines = Object.keys(posted.builds).map(function(build) {
+                return posted.builds[build];
+            });
+
+            var updated = setMessageField(posted.message, BUILD_FIELD_TITLE, lines.join('\n'));
+
+            var params = JSON.parse(JSON.stringify(updated));
+
+            params.channel = posted.channel;
+            params.ts = posted.ts;
+
+            callSlackApi('chat.update', params, function(err, response) {
+                if (err) {
+                    return callback(err);
+                }
+
+                logger.info('Build status added to the message of its commit', {build: name, hash: hash});
+
+                posted.message = updated;
+
+                store.set(postedKey, posted, function(err) {
+                    if (err || !isEscalatedBuild(event.payload)) {
+                        return callback(err, response);
+                    }
+
+                    postNotice();
+                });
+            });
+        };
+
+        if (commit.threadKey) {
+            return store.get(commit.threadKey, update);
+        }
+
+        update(null, commit);
+    });
+}
+
+
+//------------------------------
+// Direct Messages
+//------------------------------
+
+// The personal notification the author of a pull-request gets for each event
+var AUTHOR_NOTIFICATIONS = {
+    'pullrequest:approved': 'approved',
+    'pullrequest:changes_request_created': 'changesRequested',
+    'pullrequest:fulfilled': 'merged',
+    'pullrequest:rejected': 'declined',
+    'pullrequest:comment_created': 'commented'
+};
+
+
+/**
+ * @param  {object}  user  Bitbucket user
+ * @param  {string}  kind  Kind of notification, eg reviewerAdded
+ * @return {boolean}       Whether the user opted in to the notification, personally or by default
+ */
+function wantsDirectMessage(user, kind) {
+    var kinds = getUserSetting(config.directMessages.users, user);
+
+    return (kinds || config.directMessages.events).indexOf(kind) > -1;
+}
+
+/**
+ * Find the reviewers a `created` or `updated` event added to a pull-request, by comparing them with the reviewers
+ * remembered from its previous event. Without a previous event to compare with, updates add nobody, so that a
+ * forgotten pull-request does not message all of its reviewers again.
+ *
+ * @param  {object}   event     The Cloud-shaped `payload` and `eventKey`
+ * @param  {function} callback  Invoked with the added reviewers
+ */
+function findAddedReviewers(event, callback) {
+
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, event.payload),
+        prId = getKey('pullrequest.id'),
+        reviewers = getKey('pullrequest.reviewers') || [];
+
+    if (['pullrequest:created', 'pullrequest:updated'].indexOf(event.eventKey) < 0 || prId === undefined) {
+        return callback([]);
+    }
+
+    var key = ['reviewers', getKey('pullrequest.destination.repository.full_name') ||
+            getKey('repository.full_name'), prId].join(':'),
+        store = getThreadStore();
+
+    store.get(key, function(err, known) {
+        if (err) {
+            logger.warn('Could not read the reviewers', {key: key, error: err.message});
+            return callback([]);
+        }
+
+        var added = reviewers.filter(function(reviewer) {
+            return event.eventKey === 'pullrequest:created' || known && known.indexOf(getUserId(reviewer)) < 0;
+        });
+
+        store.set(key, reviewers.map(getUserId), function(err) {
+            if (err) {
+                logger.warn('Could not remember the reviewers', {key: key, error: err.message});
+            }
+
+            callback(added);
+        });
+    });
+}
+
+/**
+ * Build the direct message of a personal notification.
+ *
+ * @param  {string} kind     Kind of notification, eg reviewerAdded
+ * @param  {object} payload  Cloud-shaped webhook payload
+ * @return {object}          Slack-ready message
+ */
+function buildDirectMessage(kind, payload) {
+
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, payload),
+        actor = mentionUser(payload.actor),
+        link = '<' + getKey('pullrequest.links.html.href') + '|' + helper.escapeMrkdwn(getKey('repository.name')) +
+            ' #' + getKey('pullrequest.id') + ': ' + helper.escapeMrkdwn(getKey('pullrequest.title')) + '>';
+
+    var text = {
+        reviewerAdded: actor + ' added you as a reviewer of ' + link,
+        approved: actor + ' approved your pull-request ' + link,
+        changesRequested: actor + ' requested changes on your pull-request ' + link,
+        merged: actor + ' merged your pull-request ' + link,
+        declined: actor + ' declined your pull-request ' + link,
+        commented: actor + ' commented on your pull-request ' + link
+    }[kind];
+
+    var comment = helper.markdownToMrkdwn(getKey('comment.content.raw'), collectUsers(payload));
+
+    if (kind === 'commented' && comment) {
+        text += '\n>' + helper.truncateMrkdwn(comment, 300).replace(/\n/g, '\n>');
+    }
+
+    return {
+        link_names: 1,
+        mrkdwn: true,
+        text: text
+    };
+}
+
+/**
+ * Send the personal notifications of an event to the reviewers it added and the author of its pull-request, as far
+ * as they opted in. Nobody is notified of their own actions. Failures are logged, but never fail the event. Sent
+ * once the event was delivered, so that Bitbucket's retries of failed deliveries notify nobody twice.
+ *
+ * @param  {object}   event     The Cloud-shaped `payload` and `eventKey`
+ * @param  {function} callback  Invoked once every direct message was sent or failed
+ */
+function sendDirectMessages(event, callback) {
+
+    if (!config.directMessages.enabled || !config.slackBotToken || !event.payload.pullrequest) {
+        return callback();
+    }
+
+    var payload = event.payload,
+        actorId = getUserId(payload.actor),
+        deliveries = [];
+
+    var notify = function(user, kind) {
+        var slackUserId = getSlackUserId(user);
+
+        if (!slackUserId || getUserId(user) === actorId || !wantsDirectMessage(user, kind)) {
+            return;
+        }
+
+        var message = buildDirectMessage(kind, payload);
+
+        deliveries.push({
+            target: slackUserId,
+            destination: 'slack-direct-message',
+            message: message,
+            send: function(callback) {
+                var params = JSON.parse(JSON.stringify(message));
+
+                // posting to a user ID lands in the bot's direct message conversation with them
+                params.channel = slackUserId;
+                callSlackApi('chat.postMessage', params, callback);
+            }
+        });
+    };
+
+    findAddedReviewers(event, function(added) {
+        added.forEach(function(reviewer) {
+            notify(reviewer, 'reviewerAdded');
+        });
+
+        if (AUTHOR_NOTIFICATIONS[event.eventKey] && payload.pullrequest.author) {
+            notify(payload.pullrequest.author, AUTHOR_NOTIFICATIONS[event.eventKey]);
+        }
+
+        runDeliveries(deliveries, function() {
+            callback();
+        });
+    });
+}
+
+
+
+//------------------------------
+// Bitbucket API
+//------------------------------
+
+
+// Methods of the Bitbucket API client. An object implementing any of them is taken for a ready-made client.
+var BITBUCKET_CLIENT_METHODS = ['listOpenPullRequests', 'getPullRequest', 'approvePullRequest', 'requestChanges'];
+
+
+/**
+ * @param  {object}  candidate  Bitbucket API settings
+ * @return {boolean}            Whether the settings are a ready-made client, eg a fake standing in for Bitbucket
+ */
+function isBitbucketClient(candidate) {
+    return !!candidate && BITBUCKET_CLIENT_METHODS.some(function(method) {
+        return typeof candidate[method] === 'function';
+    });
+}
+
+/**
+ * Create a client of the Bitbucket Cloud REST API. An object already implementing the client's methods, eg a fake
+ * standing in for Bitbucket in tests, is used as-is.
+ *
+ * @param  {object} options  Credentials as `username` and `appPassword`, or as `token`
+ * @return {object}          Client exposing `listOpenPullRequests(repository, callback)`,
+ *                           `getPullRequest(repository, id, callback)`,
+ *                           `approvePullRequest(repository, id, credentials, callback)` and
+ *                           `requestChanges(repository, id, credentials, callback)`
+ */
+function createBitbucketClient(options) {
+    options = options || {};
+
+    if (isBitbucketClient(options)) {
+        return options;
+    }
+
+    var send = function(method, path, credentials, callback) {
+
+        logger.debug('Calling Bitbucket API', {method: method, path: path});
+
+        var request_options = {
+            host: 'api.bitbucket.org',
+            port: '443',
+            path: path,
+            method: method,
+            headers: {
+                'Authorization': credentials.token ? 'Bearer ' + credentials.token : 'Basic ' +
+                    Buffer.from(credentials.username + ':' + credentials.appPassword).toString('base64'),
+                'Accept': 'application/json'
+            }
+        };
+
+        sendRequest(request_options, undefined, function(err, res) {
+            if (err) {
+                return callback(err);
+            }
+
+            try {
+                callback(null, res.body ? JSON.parse(res.body) : {});
+            } catch (e) {
+                callback(new Error('Unexpected response from ' + path + ': ' + res.body));
+            }
+        });
+    };
+
+    var get = function(path, callback) {
+        send('GET', path, options, callback);
+    };
+
+    var pullRequestPath = function(repository, id) {
+        return '/2.0/repositories/' + repository + '/pullrequests/' + encodeURIComponent(id);
+    };
+
+    return {
+        /**
+         * @param  {string}   repository  Full name of the repository, eg team/repo
+         * @param  {function} callback    Invoked with an error or the open pull-requests, with their reviewers
+         *                                and participants
+         */
+        listOpenPullRequests: function(repository, callback) {
+            var pullRequests = [];
+
+            var page = function(path) {
+                get(path, function(err, response) {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    pullRequests = pullRequests.concat(response.values || []);
+
+                    if (!response.next) {
+                        return callback(null, pullRequests);
+                    }
+
+                    page(response.next.replace(/^https:\/\/api\.bitbucket\.org/, ''));
+                });
+            };
+
+            // listings leave the reviewers and participants out unless asked for
+            page('/2.0/repositories/' + repository + '/pullrequests?state=OPEN&pagelen=50' +
+                '&fields=%2Bvalues.reviewers,%2Bvalues.participants');
+        },
+
+        /**
+         * @param  {string}   repository  Full name of the repository, eg team/repo
+         * @param  {number}   id          ID of the pull-request
+         * @param  {function} callback    Invoked with an error or the pull-request, with its reviewers and
+         *                                participants
+         */
+        getPullRequest: function(repository, id, callback) {
+            get(pullRequestPath(repository, id), callback);
+        },
+
+        /**
+         * @param  {string}   repository   Full name of the repository, eg team/repo
+         * @param  {number}   id           ID of the pull-request
+         * @param  {object}   credentials  Credentials of the user approving, like those of the client
+         * @param  {function} callback     Invoked with an error or the approving participant
+         */
+        approvePullRequest: function(repository, id, credentials, callback) {
+            send('POST', pullRequestPath(repository, id) + '/approve', credentials, callback);
+        },
+
+        /**
+         * @param  {string}   repository   Full name of the repository, eg team/repo
+         * @param  {number}   id           ID of the pull-request
+         * @param  {object}   credentials  Credentials of the user requesting changes, like those of the client
+         * @param  {function} callback     Invoked with an error or the requesting participant
+         */
+        requestChanges: function(repository, id, credentials, callback) {
+            send('POST', pullRequestPath(repository, id) + '/request-changes', credentials, callback);
+        }
+    };
+}
+
+var bitbucketClient;
+
+/**
+ * @return {object}  The Bitbucket API client, created from the configuration on first use
+ */
+function getBitbucketClient() {
+    bitbucketClient = bitbucketClient || createBitbucketClient(config.bitbucketApi);
+    return bitbucketClient;
+}
+
+/**
+ * @param  {string[]} repositories  Full names of the repositories, eg team/repo
+ * @param  {function} callback      Invoked with an error or the open pull-requests of every repository, in order
+ */
+function fetchOpenPullRequests(repositories, callback) {
+
+    var client = getBitbucketClient(),
+        pullRequests = [];
+
+    var next = function(index) {
+        if (index >= repositories.length) {
+            return callback(null, pullRequests);
+        }
+
+        client.listOpenPullRequests(repositories[index], function(err, values) {
+            if (err) {
+                return callback(err);
+            }
+
+            pullRequests = pullRequests.concat(values || []);
+            next(index + 1);
+        });
+    };
+
+    next(0);
+}
+
+
+
+//------------------------------
+// Pull-Request Digest
+//------------------------------
+
+// Store key of the open pull-requests remembered for the digest
+var DIGEST_STORE_KEY = 'digest:pullrequests';
+
+// Most pull-requests listed in a single digest
+var DIGEST_LIMIT = 50;
+
+
+/**
+ * Remember the pull-request of an event for the digest, or forget it once merged or declined. Every pull-request
+ * shares a single store entry, so concurrent invocations may now and then lose an update.
+ *
+ * @param  {object}   event     The Cloud-shaped `payload` and `eventKey`
+ * @param  {function} callback  Invoked once remembered, whether or not that succeeded
+ */
+function rememberPullRequest(event, callback) {
+
+    var pullRequest = event.payload && event.payload.pullrequest;
+
+    if (config.digest.source !== 'events' || !pullRequest || pullRequest.id === undefined) {
+        return callback();
+    }
+
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, pullRequest),
+        repository = getKey('destination.repository') || event.payload.repository || {},
+        key = repository.full_name + '#' + pullRequest.id,
+        closed = ['pullrequest:fulfilled', 'pullrequest:rejected'].indexOf(event.eventKey) > -1 ||
+            ['MERGED', 'DECLINED', 'SUPERSEDED'].indexOf(pullRequest.state) > -1,
+        store = getThreadStore();
+
+    var trimUser = function(user) {
+        return user && {
+            display_name: user.display_name,
+            nickname: user.nickname,
+            username: user.username,
+            account_id: user.account_id,
+            uuid: user.uuid,
+            email: user.email
+        };
+    };
+
+    var done = function(err) {
+        if (err) {
+            logger.warn('Could not remember the pull-request for the digest', {key: key, error: err.message});
+        }
+
+        callback();
+    };
+
+    store.get(DIGEST_STORE_KEY, function(err, pullRequests) {
+        if (err) {
+            return done(err);
+        }
+
+        pullRequests = pullRequests || {};
+
+        var previous = pullRequests[key] || {};
+
+        if (closed) {
+            delete pullRequests[key];
+        } else {
+            pullRequests[key] = {
+                id: pullRequest.id,
+                title: pullRequest.title,
+                links: {html: {href: getKey('links.html.href')}},
+                author: trimUser(pullRequest.author),
+                reviewers: pullRequest.reviewers ? pullRequest.reviewers.map(trimUser) : previous.reviewers,
+                participants: pullRequest.participants ? pullRequest.participants.map(function(participant) {
+                    return {user: trimUser(participant.user), approved: !!participant.approved};
+                }) : previous.participants,
+                created_on: pullRequest.created_on || previous.created_on,
+                // comments and approvals leave `updated_on` as it was, so the event itself counts as activity
+                updated_on: new Date().toISOString(),
+                destination: {
+                    branch: {name: getKey('destination.branch.name')},
+                    repository: {name: repository.name, full_name: repository.full_name}
+                }
+            };
+        }
+
+        store.set(DIGEST_STORE_KEY, pullRequests, done);
+    });
+}
+
+/**
+ * @param  {function} callback  Invoked with an error or the open pull-requests from the configured digest source
+ */
+function listDigestPullRequests(callback) {
+
+    if (config.digest.source === 'events') {
+        return getThreadStore().get(DIGEST_STORE_KEY, function(err, pullRequests) {
+            callback(err, Object.keys(pullRequests || {}).map(function(key) {
+                return pullRequests[key];
+            }));
+        });
+    }
+
+    fetchOpenPullRequests([].concat(config.digest.repositories), callback);
+}
+
+/**
+ * @param  {string} since  ISO 8601 date
+ * @param  {number} now    Current time in epoch milliseconds
+ * @return {string}        The time passed since, in hours or days
+ */
+function describeAge(since, now) {
+    var hours = Math.floor((now - Date.parse(since)) / 3600000),
+        days = Math.floor(hours / 24);
+
+    if (isNaN(hours)) {
+        return 'an unknown time';
+    }
+
+    if (hours < 24) {
+        return hours + ' hour' + (hours === 1 ? '' : 's');
+    }
+
+    return days + ' day' + (days === 1 ? '' : 's');
+}
+
+/**
+ * @param  {object}   pullRequest  Cloud-shaped pull-request
+ * @return {object[]}              Its reviewers who have not approved it yet
+ */
+function getPendingReviewers(pullRequest) {
+
+    var approved = (pullRequest.participants || []).filter(function(participant) {
+        return participant.approved;
+    }).map(function(participant) {
+        return getUserId(participant.user);
+    });
+
+    return (pullRequest.reviewers || []).filter(function(reviewer) {
+        return approved.indexOf(getUserId(reviewer)) < 0;
+    });
+}
+
+/**
+ * @param  {object} pullRequest  Cloud-shaped pull-request
+ * @param  {number} now          Current time in epoch milliseconds
+ * @return {string}              Slack mrkdwn linking the pull-request, with its author and age
+ */
+function formatPullRequestLink(pullRequest, now) {
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, pullRequest);
+
+    return '<' + getKey('links.html.href') + '|' + helper.escapeMrkdwn(getKey('destination.repository.name')) + ' #' +
+        pullRequest.id + ': ' + helper.escapeMrkdwn(helper.truncate(pullRequest.title, 80, true)) + '> by ' +
+        mentionUser(pullRequest.author) +
+        ', open for ' + describeAge(pullRequest.created_on, now);
+}
+
+/**
+ * Build the digest message of a channel: its open pull-requests from the oldest, with their age, the reviewers
+ * still to approve them and whether they went without activity for `config.digest.staleDays`.
+ *
+ * @param  {object[]} pullRequests  Cloud-shaped pull-requests
+ * @param  {number}   now           Current time in epoch milliseconds
+ * @return {object}                 Slack-ready message
+ */
+function buildDigestMessage(pullRequests, now) {
+
+    var staleAfter = config.digest.staleDays * 86400000,
+        stale = 0;
+
+    var sorted = pullRequests.slice().sort(function(a, b) {
+        return (Date.parse(a.created_on) || 0) - (Date.parse(b.created_on) || 0);
+    });
+
+    var lines = sorted.slice(0, DIGEST_LIMIT).map(function(pullRequest) {
+        var pending = getPendingReviewers(pullRequest),
+            idle = now - Date.parse(pullRequest.updated_on || pullRequest.created_on) >= staleAfter;
+
+        var line = '• ' + formatPullRequestLink(pullRequest, now);
+
+        if (pending.length) {
+            line += ' — awaiting ' + pending.map(mentionUser).join(', ');
+        } else if ((pullRequest.reviewers || []).length) {
+            line += ' — approved by all reviewers';
+        } else {
+            line += ' — no reviewers';
+        }
+
+        if (idle) {
+            stale++;
+            line += '\n      :hourglass: _no activity for ' + describeAge(pullRequest.updated_on, now) + '_';
+        }
+
+        return line;
+    });
+
+    if (sorted.length > DIGEST_LIMIT) {
+        lines.push('_...and ' + (sorted.length - DIGEST_LIMIT) + ' more_');
+    }
+
+    var header = '*Open pull-requests: ' + sorted.length + '*' +
+        (stale ? ' (' + stale + ' without activity for ' + config.digest.staleDays + '+ days)' : '');
+
+    return {
+        link_names: 1,
+        mrkdwn: true,
+        text: header + '\n' + lines.join('\n')
+    };
+}
+
+/**
+ * Group pull-requests by the webhooks and channels their digest goes to.
+ *
+ * @param  {object[]} pullRequests  Cloud-shaped pull-requests
+ * @return {object}                 Pull-requests keyed by target, in `webhooks` and `channels`
+ */
+function routeDigest(pullRequests) {
+
+    var digest = config.digest,
+        targets = {webhooks: {}, channels: {}},
+        fixed = [].concat(digest.webhooks, digest.channels).length > 0;
+
+    var add = function(list, values, pullRequest) {
+        [].concat(values || []).forEach(function(value) {
+            list[value] = list[value] || [];
+            list[value].push(pullRequest);
+        });
+    };
+
+    pullRequests.forEach(function(pullRequest) {
+        var routed = fixed ? {webhooks: digest.webhooks, channels: digest.channels} : routeEvent({
+            repository: helper.getPossiblyUndefinedKeyValue(pullRequest, 'destination.repository'),
+            pullrequest: pullRequest
+        }, 'pullrequest:created');
+
+        add(targets.webhooks, routed.webhooks, pullRequest);
+        add(targets.channels, routed.channels, pullRequest);
+    });
+
+    return targets;
+}
+
+/**
+ * Post the digest of open pull-requests to every target, as invoked by a schedule.
+ *
+ * @param  {object} invocation  Invocation created by `createInvocation`
+ */
+function runDigest(invocation) {
+
+    loadConfig(function(err) {
+        if (err) {
+            invocation.fail(err.message, 500);
+            return;
+        }
+
+        if (!config.digest.source) {
+            invocation.succeed('No digest is configured');
+            return;
+        }
+
+        logger.info('Posting digest', {source: config.digest.source});
+
+        listDigestPullRequests(function(err, pullRequests) {
+            if (err) {
+                invocation.fail('Could not list pull-requests: ' + err.message, 502);
+                return;
+            }
+
+            var resolve = function(index) {
+                if (index < pullRequests.length) {
+                    return resolveUsers({pullrequest: pullRequests[index]}, function() {
+                        resolve(index + 1);
+                    });
+                }
+
+                var targets = routeDigest(pullRequests),
+                    now = Date.now(),
+                    deliveries = [];
+
+                Object.keys(targets.webhooks).forEach(function(webhook) {
+                    var message = buildDigestMessage(targets.webhooks[webhook], now);
+
+                    deliveries.push({
+                        target: webhook,
+                        destination: 'slack-webhook',
+                        message: message,
+                        send: function(callback) {
+                            postToSlack(message, webhook, callback);
+                        }
+                    });
+                });
+
+                Object.keys(targets.channels).forEach(function(channel) {
+                    var message = buildDigestMessage(targets.channels[channel], now);
+
+                    deliveries.push({
+                        target: channel,
+                        destination: 'slack-channel',
+                        message: message,
+                        send: function(callback) {
+                            var params = JSON.parse(JSON.stringify(message));
+
+                            params.channel = channel;
+                            callSlackApi('chat.postMessage', params, callback);
+                        }
+                    });
+                });
+
+                runDeliveries(deliveries, function(failures) {
+                    if (!failures.length) {
+                        invocation.succeed('Posted ' + deliveries.length + ' digest(s) of ' + pullRequests.length +
+                            ' open pull-request(s)');
+                        return;
+                    }
+
+                    sendToDeadLetterQueue(failures, 'digest', function() {
+                        invocation.fail('error:' + failures.map(function(failure) {
+                            return failure.error;
+                        }).join('; '), 502);
+                    });
+                });
+            };
+
+            resolve(0);
+        });
+    });
+}
+
+
+//------------------------------
+// Deferred Tasks
+//------------------------------
+
+// `source` of the events this function sends itself to finish work after answering a request
+var DEFERRED_TASK_SOURCE = 'bitbucket-slack-lambda-proxy';
+
+
+/**
+ * @param  {object}  event  The Lambda event
+ * @return {boolean}        Whether the event is a task this function sent itself, see `deferTask`
+ */
+function isDeferredTask(event) {
+    return event.source === DEFERRED_TASK_SOURCE && !event.headers && !!event.task;
+}
+
+/**
+ * Finish work after the request is answered, for Slack, which gives up on answers taking over 3 seconds. In Lambda,
+ * the function invokes itself asynchronously with the task, which takes `lambda:InvokeFunction` permission on
+ * itself. Elsewhere, such as in the test harness, the task runs in this process once the request is answered.
+ *
+ * @param  {object}   task      What to do, by `type`, see `runDeferredTask`
+ * @param  {function} callback  Invoked with an error, or once the task is on its way
+ */
+function deferTask(task, callback) {
+
+    var event = {source: DEFERRED_TASK_SOURCE, correlationId: trace.correlationId, task: task},
+        functionName = process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+    if (!functionName) {
+        setImmediate(function() {
+            exports.handler(event, {}, function(err) {
+                if (err) {
+                    logger.error('Deferred task failed', {type: task.type, error: err.message});
+                }
+            });
+        });
 
-                result.attachments[0].fallback = 'Pull-Request Created: ' + data.prTitle;
-                result.attachments[0].pretext = '_Pull-Request: *Created*_';
+        return callback();
+    }
 
-                result.attachments[0].fields.push({
-                    title: 'Repo / Branches:',
-                    value: data.repoName + ' (' + data.repoSourceName + ' → ' + data.repoDestinationName + ')',
-                    short: true
-                });
+    var lambda;
 
-                result.attachments[0].fields.push({
-                    title: 'Author',
-                    value: '@' + BITBUCKET_TO_SLACK_USERS[data.prAuthorUsername],
-                    short: true
+    try {
+        lambda = requireAwsSdk('@aws-sdk/client-lambda');
+    } catch (e) {
+        return callback(e);
+    }
+
+    logger.debug('Deferring task', {type: task.type});
+
+    sendAwsCommand(new lambda.LambdaClient({}), new lambda.InvokeCommand({
+        FunctionName: functionName,
+        Qualifier: process.env.AWS_LAMBDA_FUNCTION_VERSION,
+        InvocationType: 'Event',
+        Payload: Buffer.from(JSON.stringify(event))
+    }), function(err) {
+        callback(err);
+    });
+}
+
+
+
+//------------------------------
+// Slack Actions
+//------------------------------
+
+// `callback_id` of the attachments carrying the buttons of `SLACK_ACTIONS`
+var SLACK_ACTION_CALLBACK_ID = 'bitbucket-pullrequest';
+
+// The buttons of `SLACK_ACTIONS` by name, with the Bitbucket client method they call and how the result is shown
+var SLACK_REVIEW_ACTIONS = {
+    approve: {method: 'approvePullRequest', verb: 'approve', icon: '✅', label: 'Approved'},
+    request_changes: {method: 'requestChanges', verb: 'request changes on', icon: '✋', label: 'Changes requested'}
+};
+
+// Title of the field listing who reviewed a pull-request through its buttons
+var REVIEW_FIELD_TITLE = 'Reviews';
+
+
+/**
+ * Read what was clicked out of a Slack interaction.
+ *
+ * @param  {object} interaction  A `block_actions` or legacy `interactive_message` interaction
+ * @return {object}              The action's `name`, its `review` of `SLACK_REVIEW_ACTIONS`, the `target`
+ *                               pull-request as `{repository, id}`, the `slackUser` who clicked and the `responseUrl`
+ */
+function readSlackAction(interaction) {
+    var action = (interaction.actions || [])[0] || {},
+        name = action.action_id || action.name,
+        target;
+
+    try {
+        target = JSON.parse(action.value);
+    } catch (e) {
+        target = undefined;
+    }
+
+    return {
+        name: name,
+        review: SLACK_REVIEW_ACTIONS.hasOwnProperty(name) ? SLACK_REVIEW_ACTIONS[name] : undefined,
+        target: target && target.repository && target.id !== undefined ? target : undefined,
+        slackUser: interaction.user || {},
+        responseUrl: interaction.response_url
+    };
+}
+
+/**
+ * Answer a click on a button of a pull-request message. Slack wants an answer within 3 seconds, so the click is
+ * only checked here and answered with an empty 200, and acting on it is left to `runSlackAction`.
+ *
+ * @param  {string} rawPayload  The `payload` field of Slack's request, either a `block_actions` or a legacy
+ *                              `interactive_message` interaction
+ * @param  {object} invocation  Invocation created by `createInvocation`
+ */
+function handleSlackAction(rawPayload, invocation) {
+
+    var interaction;
+
+    try {
+        interaction = JSON.parse(rawPayload);
+    } catch (e) {
+        invocation.fail('Slack payload is not valid JSON', 400);
+        return;
+    }
+
+    var action = readSlackAction(interaction);
+
+    annotateTrace({eventKey: 'slack:' + (action.name || interaction.type)});
+
+    // Slack reports clicks on link buttons as well
+    if (!action.review) {
+        invocation.reply('', 'Ignored Slack action ' + action.name);
+        return;
+    }
+
+    if (!config.slackActions.enabled) {
+        invocation.fail('Slack actions are not enabled', 403);
+        return;
+    }
+
+    if (!/^https:\/\/hooks\.slack\.com\//.test(action.responseUrl || '')) {
+        invocation.fail('Slack payload has no valid response_url', 400);
+        return;
+    }
+
+    if (!action.target) {
+        invocation.fail('Slack action does not name a pull-request', 400);
+        return;
+    }
+
+    deferTask({type: 'slack-action', interaction: interaction}, function(err) {
+        if (err) {
+            invocation.fail('Could not act on the Slack action: ' + err.message, 500);
+            return;
+        }
+
+        annotateTrace({outcome: 'deferred'});
+        invocation.reply('', 'Deferred Slack action ' + action.name);
+    });
+}
+
+/**
+ * Act on a click checked by `handleSlackAction`: act on the pull-request in Bitbucket as the clicking user, then
+ * update the message through Slack's `response_url` with the result. Problems are only shown to the clicking user.
+ *
+ * @param  {object} task        The deferred task, with the Slack `interaction`
+ * @param  {object} invocation  Invocation created by `createInvocation`
+ */
+function runSlackAction(task, invocation) {
+
+    var interaction = task.interaction,
+        action = readSlackAction(interaction),
+        name = action.name,
+        review = action.review,
+        target = action.target,
+        slackUser = action.slackUser;
+
+    annotateTrace({eventKey: 'slack:' + name});
+
+    if (!review || !target) {
+        invocation.fail('Slack action task does not name a review of a pull-request', 400);
+        return;
+    }
+
+    var finish = function(outcome, note, message) {
+        annotateTrace({outcome: outcome});
+
+        postToWebhook(message, action.responseUrl, function(err) {
+            if (err) {
+                logger.warn('Unable to answer the Slack action', {error: err.message});
+            }
+
+            invocation.succeed(note);
+        });
+    };
+
+    var refuse = function(reason) {
+        logger.warn('Slack action refused', {action: name, slackUser: slackUser.id, reason: reason});
+
+        finish('refused', 'Refused Slack action ' + name + ': ' + reason, {
+            response_type: 'ephemeral',
+            replace_original: false,
+            text: ':warning: Could not ' + review.verb + ' ' + target.repository + ' #' + target.id + ': ' + reason
+        });
+    };
+
+    var bitbucketUser = findBitbucketUser(slackUser),
+        credentials = bitbucketUser && config.slackActions.credentials[bitbucketUser];
+
+    if (!bitbucketUser) {
+        return refuse('your Slack user is not mapped to a Bitbucket user');
+    }
+
+    if (!credentials) {
+        return refuse('no Bitbucket credentials are configured for ' + bitbucketUser);
+    }
+
+    logger.info('Acting on Slack action', {action: name, repository: target.repository, id: target.id});
+
+    getBitbucketClient()[review.method](target.repository, target.id, credentials, function(err) {
+        if (err) {
+            return refuse(err.message);
+        }
+
+        var line = review.icon + ' ' + review.label + ' by <@' + slackUser.id + '>',
+            original = interaction.message || interaction.original_message || {},
+            updated = setMessageField({text: original.text, attachments: original.attachments, blocks: original.blocks},
+                REVIEW_FIELD_TITLE, function(value) {
+                    return value ? value + '\n' + line : line;
                 });
 
-                if (helper.FEATURE_SWITCH.mentionReviewers && data.reviewers && data.reviewers.length > 0) {
-                    var reviewersStr = '';
-                    for (var i = 0; i < data.reviewers.length; i++) {
-                        reviewersStr += ' @' + BITBUCKET_TO_SLACK_USERS[data.reviewers[i].username];
-                    }
-                    result.attachments[0].fields.push({
-                        title: 'Reviewers:',
-                        value: reviewersStr.trim()
-                    });
+        updated.replace_original = true;
+
+        finish(name, review.label + ' ' + target.repository + ' #' + target.id + ' as ' + bitbucketUser, updated);
+    });
+}
+
+
+
+//------------------------------
+// Slash Commands
+//------------------------------
+
+// How to use the `/bitbucket` command of `SLACK_COMMANDS`, answered to anything it does not understand
+var SLASH_COMMAND_USAGE = [
+    '*Usage:*',
+    '`/bitbucket prs <repo>` the open pull-requests of a repository, eg team/repo',
+    '`/bitbucket mine` the open pull-requests you authored or review',
+    '`/bitbucket pr <id>` or `/bitbucket pr <repo> <id>` a single pull-request'
+].join('\n');
+
+// Most pull-requests listed in a single answer
+var SLASH_COMMAND_LIMIT = 20;
+
+// Full name of a repository as typed in a command, eg team/repo
+var REPOSITORY_PATTERN = /^[\w-][\w.-]*\/[\w-][\w.-]*$/;
+
+// Colors of pull-requests by state, among those of `SLACK_COLORS`
+var PULL_REQUEST_STATE_COLORS = {
+    OPEN: 'blue',
+    MERGED: 'green',
+    DECLINED: 'red',
+    SUPERSEDED: 'yellow'
+};
+
+
+/**
+ * @param  {object}  pullRequest    Cloud-shaped pull-request
+ * @param  {string}  bitbucketUser  Key of the Bitbucket user in `config.users`
+ * @return {boolean}                Whether the user authored the pull-request or is one of its reviewers
+ */
+function isInvolvedIn(pullRequest, bitbucketUser) {
+    var matches = function(user) {
+        return !!user && [user.account_id, user.uuid, user.nickname, user.username].indexOf(bitbucketUser) > -1;
+    };
+
+    return matches(pullRequest.author) || (pullRequest.reviewers || []).some(matches);
+}
+
+/**
+ * Find Slack users by email for the people of every pull-request, one pull-request after the other.
+ *
+ * @param  {object[]} pullRequests  Cloud-shaped pull-requests
+ * @param  {function} callback      Invoked once every lookup has finished
+ */
+function resolvePullRequestUsers(pullRequests, callback) {
+
+    var next = function(index) {
+        if (index >= pullRequests.length) {
+            return callback();
+        }
+
+        resolveUsers({pullrequest: pullRequests[index]}, function() {
+            next(index + 1);
+        });
+    };
+
+    next(0);
+}
+
+/**
+ * Build the answer listing pull-requests from the oldest, each with its reviewers ticked off once they approved.
+ *
+ * @param  {string}   heading       What the pull-requests are, eg "Open pull-requests of team/repo"
+ * @param  {object[]} pullRequests  Cloud-shaped pull-requests
+ * @param  {number}   now           Current time in epoch milliseconds
+ * @return {object}                 Ephemeral Slack message
+ */
+function buildPullRequestList(heading, pullRequests, now) {
+
+    var sorted = pullRequests.slice().sort(function(a, b) {
+        return (Date.parse(a.created_on) || 0) - (Date.parse(b.created_on) || 0);
+    });
+
+    var lines = sorted.slice(0, SLASH_COMMAND_LIMIT).map(function(pullRequest) {
+        var checklist = formatReviewerChecklist(pullRequest.reviewers, pullRequest.participants);
+
+        return '• ' + formatPullRequestLink(pullRequest, now) + '\n      ' +
+            (checklist ? checklist.split('\n').join('   ') : '_no reviewers_');
+    });
+
+    if (sorted.length > SLASH_COMMAND_LIMIT) {
+        lines.push('_...and ' + (sorted.length - SLASH_COMMAND_LIMIT) + ' more_');
+    }
+
+    return {
+        response_type: 'ephemeral',
+        text: ['*' + heading + ': ' + sorted.length + '*'].concat(lines).join('\n')
+    };
+}
+
+/**
+ * Build the answer showing a single pull-request, laid out like the messages of its events.
+ *
+ * @param  {object} pullRequest  Cloud-shaped pull-request
+ * @return {object}              Ephemeral Slack message
+ */
+function buildPullRequestDetail(pullRequest) {
+
+    var getKey = helper.getPossiblyUndefinedKeyValue.bind(this, pullRequest),
+        state = pullRequest.state || 'OPEN',
+        checklist = formatReviewerChecklist(pullRequest.reviewers, pullRequest.participants),
+        attachment = {
+            fallback: 'Pull-Request #' + pullRequest.id + ': ' + pullRequest.title,
+            pretext: '_' + getKey('destination.repository.full_name') + ': *Pull-Request #' + pullRequest.id + '* ' +
+                helper.capitalize(state.toLowerCase()) + '_',
+            title: pullRequest.title,
+            title_link: getKey('links.html.href'),
+            color: config.colors[PULL_REQUEST_STATE_COLORS[state] || 'blue'],
+            fields: [{
+                title: 'Repo / Branches:',
+                value: getKey('source.repository.name') + ' (' + getKey('source.branch.name') + ' → ' +
+                    getKey('destination.branch.name') + ')',
+                short: true
+            }, {
+                title: 'Author',
+                value: mentionUser(pullRequest.author),
+                short: true
+            }]
+        };
+
+    if (pullRequest.description) {
+        attachment.fields.push({
+            title: 'Description',
+            value: helper.truncateMrkdwn(helper.markdownToMrkdwn(pullRequest.description,
+                collectUsers({pullrequest: pullRequest})), 500)
+        });
+    }
+
+    if (checklist) {
+        attachment.fields.push({
+            title: 'Reviewers:',
+            value: checklist
+        });
+    }
+
+    var message = renderSlackMessage(createNotification({attachments: [attachment]}, {pullrequest: pullRequest}));
+
+    message.response_type = 'ephemeral';
+
+    return message;
+}
+
+/**
+ * Read a `/bitbucket` command of `SLACK_COMMANDS` and check what it names, without asking Bitbucket anything yet.
+ * Answers are `{outcome, note, message}`, with the `reason` of refusals and the `error` of failures.
+ *
+ * @param  {object} form  Fields of the command as posted by Slack, with its `text` and `user_id`
+ * @return {object}       The command's `name`, `args` and `slackUser`, with either the `answer` to give at once,
+ *                        or what it is `looking` up and `lookUp(callback)`, which reads the answer from Bitbucket
+ */
+function readSlashCommand(form) {
+
+    var words = String(form.text || '').trim().split(/\s+/).filter(Boolean),
+        name = (words[0] || 'help').toLowerCase(),
+        args = words.slice(1),
+        command = form.command || '/bitbucket',
+        repositories = [].concat(config.slackCommands.repositories);
+
+    var refusal = function(reason) {
+        return {
+            answer: {
+                outcome: 'refused',
+                note: 'Refused Slack command ' + name + ': ' + reason,
+                reason: reason,
+                message: {
+                    response_type: 'ephemeral',
+                    text: ':warning: ' + command + ' ' + name + ': ' + reason
                 }
+            }
+        };
+    };
 
-                return result;
-            },
+    var failure = function(err) {
+        return {
+            outcome: 'failed',
+            note: 'Could not answer Slack command ' + name + ': ' + err.message,
+            error: err,
+            message: {
+                response_type: 'ephemeral',
+                text: ':warning: Could not read from Bitbucket: ' + err.message
+            }
+        };
+    };
 
-            updated: function(event) {
+    // a repository that is not well-formed or not among those configured is refused with the reason
+    var checkRepository = function(repository) {
+        if (!REPOSITORY_PATTERN.test(repository)) {
+            return '`' + repository + '` is not the full name of a repository, eg team/repo';
+        }
 
-                var prInfo = pullrequestBaseHandler(event),
-                    data = prInfo.data,
-                    result = prInfo.result;
+        if (repositories.length && repositories.indexOf(repository) < 0) {
+            return repository + ' is not one of the repositories available to `' + command + '`';
+        }
+    };
 
-                result.attachments[0].fallback = 'Pull-Request Updated:' + data.prTitle;
-                result.attachments[0].pretext = '_Pull-Request: *Updated*_';
+    var list = function(heading, targets, filter) {
+        return {
+            looking: heading.charAt(0).toLowerCase() + heading.slice(1),
+            lookUp: function(callback) {
+                fetchOpenPullRequests(targets, function(err, pullRequests) {
+                    if (err) {
+                        return callback(failure(err));
+                    }
 
-                result.attachments[0].fields.push({
-                    title: 'Author',
-                    value: '@' + BITBUCKET_TO_SLACK_USERS[data.prAuthorUsername],
-                    short: true
-                });
+                    pullRequests = pullRequests.filter(filter);
 
-                result.attachments[0].fields.push({
-                    title: 'Updated By',
-                    value: data.actor,
-                    short: true
+                    resolvePullRequestUsers(pullRequests, function() {
+                        callback({
+                            outcome: 'listed',
+                            note: 'Listed ' + pullRequests.length + ' pull-request(s)',
+                            message: buildPullRequestList(heading, pullRequests, Date.now())
+                        });
+                    });
                 });
+            }
+        };
+    };
 
-                return result;
-            },
+    var commands = {
+        prs: function() {
+            var targets = args.length ? args : repositories,
+                problem = targets.map(checkRepository).filter(Boolean)[0];
 
-            approved: function(event) {
+            if (!targets.length) {
+                return refusal('name the repository, eg `' + command + ' prs team/repo`');
+            }
 
-                var prInfo = pullrequestBaseHandler(event),
-                    data = prInfo.data,
-                    result = prInfo.result;
+            if (problem) {
+                return refusal(problem);
+            }
 
-                result.attachments[0].fallback = 'Pull-Request Approved:' + data.prTitle;
-                result.attachments[0].pretext = '_Pull-Request: *Approved*_';
-                result.attachments[0].color = helper.COLORS.green;
+            return list('Open pull-requests of ' + targets.join(', '), targets, function() {
+                return true;
+            });
+        },
 
-                result.attachments[0].fields.push({
-                    title: 'Author',
-                    value: '@' + BITBUCKET_TO_SLACK_USERS[data.prAuthorUsername],
-                    short: true
-                });
+        mine: function() {
+            var bitbucketUser = findBitbucketUser({id: form.user_id, username: form.user_name});
 
-                result.attachments[0].fields.push({
-                    title: 'Approved By',
-                    value: data.actor,
-                    short: true
-                });
+            if (!bitbucketUser) {
+                return refusal('your Slack user is not mapped to a Bitbucket user');
+            }
 
-                return result;
-            },
+            if (!repositories.length) {
+                return refusal('no repositories are configured to look through');
+            }
+
+            return list('Your open pull-requests', repositories, function(pullRequest) {
+                return isInvolvedIn(pullRequest, bitbucketUser);
+            });
+        },
+
+        pr: function() {
+            var match = /^(?:(\S+)(?:\s+|#))?#?(\d+)$/.exec(args.join(' ')),
+                repository = match && (match[1] || (repositories.length === 1 ? repositories[0] : undefined)),
+                problem = repository && checkRepository(repository);
+
+            if (!match) {
+                return refusal('name the pull-request by its ID, eg `' + command + ' pr 42`');
+            }
+
+            if (!repository) {
+                return refusal('name the repository as well, eg `' + command + ' pr team/repo ' + match[2] + '`');
+            }
+
+            if (problem) {
+                return refusal(problem);
+            }
+
+            return {
+                looking: repository + ' #' + match[2],
+                lookUp: function(callback) {
+                    getBitbucketClient().getPullRequest(repository, match[2], function(err, pullRequest) {
+                        if (err && err.statusCode === 404) {
+                            return callback(refusal('there is no pull-request ' + repository + ' #' + match[2]).answer);
+                        }
+
+                        if (err) {
+                            return callback(failure(err));
+                        }
+
+                        resolvePullRequestUsers([pullRequest], function() {
+                            callback({
+                                outcome: 'shown',
+                                note: 'Showed ' + repository + ' #' + match[2],
+                                message: buildPullRequestDetail(pullRequest)
+                            });
+                        });
+                    });
+                }
+            };
+        }
+    };
+
+    var slashCommand = commands.hasOwnProperty(name) ? commands[name]() : {
+        answer: {
+            outcome: 'usage',
+            note: 'Answered Slack command ' + name + ' with its usage',
+            message: {
+                response_type: 'ephemeral',
+                text: SLASH_COMMAND_USAGE
+            }
+        }
+    };
+
+    slashCommand.name = name;
+    slashCommand.args = args;
+    slashCommand.slackUser = form.user_id;
+
+    return slashCommand;
+}
+
+/**
+ * Log why a slash command was refused or failed, and trace how it was answered.
+ *
+ * @param  {object} slashCommand  The command read by `readSlashCommand`
+ * @param  {object} answer        Its answer
+ */
+function traceSlashCommandAnswer(slashCommand, answer) {
+
+    if (answer.reason) {
+        logger.warn('Slack command refused', {
+            command: slashCommand.name,
+            slackUser: slashCommand.slackUser,
+            reason: answer.reason
+        });
+    }
+
+    if (answer.error) {
+        logger.warn('Unable to read from Bitbucket', {command: slashCommand.name, error: answer.error.message});
+    }
+
+    annotateTrace({outcome: answer.outcome});
+}
+
+/**
+ * Answer a `/bitbucket` command of `SLACK_COMMANDS` with a message only shown to the person who typed it. Anything
+ * that goes wrong is explained in that message as well, as Slack shows nothing useful for failed commands. Slack
+ * wants an answer within 3 seconds, so commands reading from Bitbucket are answered with a note that the lookup is
+ * on its way, and `runSlashCommand` posts the result through the command's `response_url`.
+ *
+ * @param  {object} form        Fields of the command as posted by Slack, with its `text` and `user_id`
+ * @param  {object} invocation  Invocation created by `createInvocation`
+ */
+function handleSlashCommand(form, invocation) {
+
+    var slashCommand = readSlashCommand(form),
+        name = slashCommand.name;
+
+    annotateTrace({eventKey: 'slack:command:' + name});
+
+    if (!config.slackCommands.enabled) {
+        invocation.fail('Slack commands are not enabled', 403);
+        return;
+    }
 
-            unapproved: function(event) {
+    if (slashCommand.answer) {
+        traceSlashCommandAnswer(slashCommand, slashCommand.answer);
+        invocation.reply(slashCommand.answer.message, slashCommand.answer.note);
+        return;
+    }
 
-                var prInfo = pullrequestBaseHandler(event),
-                    data = prInfo.data,
-                    result = prInfo.result;
+    if (!/^https:\/\/hooks\.slack\.com\//.test(form.response_url || '')) {
+        invocation.fail('Slack command has no valid response_url', 400);
+        return;
+    }
 
-                result.attachments[0].fallback = 'Pull-Request Unapproved:' + data.prTitle;
-                result.attachments[0].pretext = '_Pull-Request: *Unapproved*_';
-                result.attachments[0].color = helper.COLORS.yellow;
+    logger.info('Answering Slack command', {command: name, args: slashCommand.args.join(' ')});
 
-                result.attachments[0].fields.push({
-                    title: 'Author',
-                    value: '@' + BITBUCKET_TO_SLACK_USERS[data.prAuthorUsername],
-                    short: true
-                });
+    deferTask({type: 'slack-command', form: form}, function(err) {
+        if (err) {
+            invocation.fail('Could not answer Slack command ' + name + ': ' + err.message, 500);
+            return;
+        }
 
-                result.attachments[0].fields.push({
-                    title: 'Unapproved By',
-                    value: data.actor,
-                    short: true
-                });
+        annotateTrace({outcome: 'deferred'});
+        invocation.reply({
+            response_type: 'ephemeral',
+            text: ':hourglass_flowing_sand: Looking up ' + slashCommand.looking + '...'
+        }, 'Deferred Slack command ' + name);
+    });
+}
 
-                return result;
-            },
+/**
+ * Look up the answer to a command checked by `handleSlashCommand` in Bitbucket and post it through the command's
+ * `response_url`, in place of the note that the lookup is on its way.
+ *
+ * @param  {object} task        The deferred task, with the `form` of the command
+ * @param  {object} invocation  Invocation created by `createInvocation`
+ */
+function runSlashCommand(task, invocation) {
 
-            rejected: function(event) {
+    var form = task.form || {},
+        slashCommand = readSlashCommand(form);
 
-                var prInfo = pullrequestBaseHandler(event),
-                    data = prInfo.data,
-                    result = prInfo.result;
+    annotateTrace({eventKey: 'slack:command:' + slashCommand.name});
 
-                result.attachments[0].fallback = 'Pull-Request Rejected:' + data.prTitle;
-                result.attachments[0].pretext = '_Pull-Request: *Rejected*_';
-                result.attachments[0].color = helper.COLORS.red;
+    if (!slashCommand.lookUp || !/^https:\/\/hooks\.slack\.com\//.test(form.response_url || '')) {
+        invocation.fail('Slack command task has nothing to look up', 400);
+        return;
+    }
 
-                result.attachments[0].fields.push({
-                    title: 'Author',
-                    value: '@' + BITBUCKET_TO_SLACK_USERS[data.prAuthorUsername],
-                    short: true
-                });
+    slashCommand.lookUp(function(answer) {
+        traceSlashCommandAnswer(slashCommand, answer);
 
-                result.attachments[0].fields.push({
-                    title: 'Rejected By',
-                    value: data.actor,
-                    short: true
-                });
+        answer.message.replace_original = true;
 
-                return result;
-            },
+        postToWebhook(answer.message, form.response_url, function(err) {
+            if (err) {
+                logger.warn('Unable to answer the Slack command', {error: err.message});
+            }
 
-            fulfilled: function(event) {
+            invocation.succeed(answer.note);
+        });
+    });
+}
 
-                var prInfo = pullrequestBaseHandler(event),
-                    data = prInfo.data,
-                    result = prInfo.result;
 
-                result.attachments[0].fallback = 'Pull-Request Merged:' + data.prTitle;
-                result.attachments[0].pretext = '_Pull-Request: *Merged*_';
-                result.attachments[0].color = helper.COLORS.green;
 
-                result.attachments[0].fields.push({
-                    title: 'Repo / Branches:',
-                    value: data.repoName + ' (' + data.repoSourceName + ' → ' + data.repoDestinationName + ')',
-                    short: true
-                });
+//------------------------------
+// Lambda Requests & Responses
+//------------------------------
 
-                result.attachments[0].fields.push({
-                    title: 'Author',
-                    value: '@' + BITBUCKET_TO_SLACK_USERS[data.prAuthorUsername],
-                    short: true
-                });
 
-                result.attachments[0].fields.push({
-                    title: 'Merged By',
-                    value: data.actor,
-                    short: true
-                });
+/**
+ * Look a header up regardless of its case, which differs between API Gateway integrations.
+ *
+ * @param  {object} headers  Request headers
+ * @param  {string} name     Header name
+ * @return {string}          Header value, when present
+ */
+function getHeader(headers, name) {
+    var wanted = name.toLowerCase(),
+        match;
 
-                return result;
-            },
+    Object.keys(headers || {}).forEach(function(key) {
+        if (key.toLowerCase() === wanted) {
+            match = headers[key];
+        }
+    });
 
-            comment_created: function(event) {
+    return match;
+}
 
-                var prInfo = pullrequestBaseHandler(event),
-                    data = prInfo.data,
-                    result = prInfo.result;
+/**
+ * @param  {object}  event  The Lambda event
+ * @return {boolean}        Whether the event was sent by an EventBridge schedule rather than a webhook
+ */
+function isScheduledEvent(event) {
+    return event.source === 'aws.events' && event['detail-type'] === 'Scheduled Event';
+}
 
-                result.attachments[0].fallback = 'Pull-Request Comment Added:' + data.prTitle;
-                result.attachments[0].pretext = '_Pull-Request: *Comment Added*_';
-                result.attachments[0].title_link = data.commentUrl;
-                result.attachments[0].color = helper.COLORS.green;
+/**
+ * Read the webhook request out of a Lambda event. API Gateway proxy integrations (REST and HTTP API) and Lambda
+ * Function URLs are read directly, and events shaped by the Body Mapping Template described above keep working.
+ * Requests signed by Slack are read as `slack` requests, with their `signature`, `timestamp` and `form` fields.
+ *
+ * @param  {object} event  The Lambda event
+ * @return {object}        The request's `payload`, `eventKey`, `signature`, `rawBody`, `sourceIp`, `requestUuid` and
+ *                         whether it came through a `proxy` integration, or its `slack` details
+ */
+function parseRequest(event) {
 
-                result.attachments[0].fields.push({
-                    title: 'Author',
-                    value: '@' + BITBUCKET_TO_SLACK_USERS[data.prAuthorUsername],
-                    short: true
-                });
+    if (!event.headers && (event.payload !== undefined || event._event_key !== undefined)) {
+        return {
+            proxy: false,
+            payload: event.payload,
+            eventKey: event._event_key,
+            signature: event._signature,
+            rawBody: event._raw_body ? Buffer.from(event._raw_body, 'base64') : undefined,
+            sourceIp: event._source_ip,
+            requestUuid: event._request_uuid
+        };
+    }
 
-                result.attachments[0].fields.push({
-                    title: 'Comment',
-                    value: helper.truncate(data.commentContentRaw),
-                    short: true
-                });
+    var requestContext = event.requestContext || {},
+        rawBody = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8'),
+        request = {
+            proxy: true,
+            eventKey: getHeader(event.headers, 'X-Event-Key'),
+            signature: getHeader(event.headers, 'X-Hub-Signature'),
+            rawBody: rawBody,
+            sourceIp: requestContext.http ? requestContext.http.sourceIp :
+                requestContext.identity && requestContext.identity.sourceIp,
+            // Bitbucket Server identifies its deliveries with X-Request-Id instead
+            requestUuid: getHeader(event.headers, 'X-Request-UUID') || getHeader(event.headers, 'X-Request-Id')
+        };
 
-                result.attachments[0].fields.push({
-                    title: 'Comment By',
-                    value: data.actor,
-                    short: true
-                });
+    // Slack posts its interactions and commands as forms
+    if (getHeader(event.headers, 'X-Slack-Signature')) {
+        request.slack = {
+            signature: getHeader(event.headers, 'X-Slack-Signature'),
+            timestamp: getHeader(event.headers, 'X-Slack-Request-Timestamp'),
+            form: querystring.parse(rawBody.toString('utf8'))
+        };
 
+        return request;
+    }
 
-                return result;
-            },
+    try {
+        request.payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (e) {
+        request.error = 'Request body is not valid JSON';
+    }
 
-            comment_deleted: function(event) {
+    return request;
+}
 
-                var prInfo = pullrequestBaseHandler(event),
-                    data = prInfo.data,
-                    result = prInfo.result;
+/**
+ * Wrap the invocation's outcome in the response its caller expects. Proxy integrations get an HTTP response with
+ * a meaningful status code; mapping-template integrations get the body, or an error for Lambda to report.
+ *
+ * @param  {object}   request     The parsed request
+ * @param  {object}   appContext  The Lambda context
+ * @param  {function} done        Invoked once with an error or the response
+ * @return {object}               Object exposing `succeed(message, statusCode)`, `fail(message, statusCode)`,
+ *                                `reply(body, message)` and `getRemainingTimeInMillis()`, in the manner of the legacy
+ *                                Lambda context
+ */
+function createInvocation(request, appContext, done) {
+    var finished = false;
 
-                result.attachments[0].fallback = 'Pull-Request Comment Deleted:' + data.prTitle;
-                result.attachments[0].pretext = '_Pull-Request: *Comment Deleted*_';
-                result.attachments[0].title_link = data.commentUrl;
-                result.attachments[0].color = helper.COLORS.yellow;
+    var respond = function(statusCode, message, body) {
+        if (finished) {
+            return;
+        }
 
-                result.attachments[0].fields.push({
-                    title: 'Author',
-                    value: '@' + BITBUCKET_TO_SLACK_USERS[data.prAuthorUsername],
-                    short: true
-                });
+        finished = true;
+        finishTrace(statusCode, message, request);
 
-                result.attachments[0].fields.push({
-                    title: 'Comment',
-                    value: helper.truncate(data.commentContentRaw),
-                    short: true
-                });
+        if (request.proxy) {
+            return done(null, {
+                statusCode: statusCode,
+                headers: {'Content-Type': 'application/json'},
+                body: body !== undefined ? body : JSON.stringify({message: message})
+            });
+        }
 
-                result.attachments[0].fields.push({
-                    title: 'Comment By',
-                    value: data.actor,
-                    short: true
-                });
+        done(statusCode < 400 ? null : new Error(message), statusCode < 400 ? message : undefined);
+    };
 
-                return result;
+    return {
+        succeed: function(message, statusCode) {
+            respond(statusCode || 200, message);
+        },
 
-            },
+        // Slack reads the body of the response, so it is given as-is
+        reply: function(body, message) {
+            respond(200, message, typeof body === 'string' ? body : JSON.stringify(body));
+        },
 
-            comment_updated: function(event) {
+        fail: function(message, statusCode) {
+            respond(statusCode || 500, message);
+        },
 
-                var prInfo = pullrequestBaseHandler(event),
-                    data = prInfo.data,
-                    result = prInfo.result;
+        getRemainingTimeInMillis: function() {
+            return appContext && appContext.getRemainingTimeInMillis ? appContext.getRemainingTimeInMillis() : 0;
+        }
+    };
+}
 
-                result.attachments[0].fallback = 'Pull-Request Comment Updated:' + data.prTitle;
-                result.attachments[0].pretext = 'Pull-Request: *Comment Updated*_';
-                result.attachments[0].title_link = data.commentUrl;
-                result.attachments[0].color = helper.COLORS.yellow;
 
-                result.attachments[0].fields.push({
-                    title: 'Author',
-                    value: '@' + BITBUCKET_TO_SLACK_USERS[data.prAuthorUsername],
-                    short: true
-                });
 
-                result.attachments[0].fields.push({
-                    title: 'Comment',
-                    value: helper.truncate(data.commentContentRaw),
-                    short: true
-                });
+//------------------------------
+// Lambda Endpoint Handler
+//------------------------------
 
-                result.attachments[0].fields.push({
-                    title: 'Comment By',
-                    value: data.actor,
-                    short: true
-                });
+/**
+ * Process a parsed Bitbucket webhook request, reporting the outcome through the invocation.
+ *
+ * @param  {object} request     The parsed request
+ * @param  {object} invocation  Invocation created by `createInvocation`
+ */
+function processWebhook(request, invocation) {
 
-                return result;
-            }
+    loadConfig(function(err) {
+        if (err) {
+            invocation.fail(err.message, 500);
+            return;
+        }
 
-        },
+        var rejection = authenticateRequest(request);
 
-        //----------------------------------
-        // Repository Event Handlers
-        // See also: https://confluence.atlassian.com/bitbucket/event-payloads-740262817.html#EventPayloads-RepositoryEvents
-        //-----------------------------------
+        if (rejection) {
+            logger.warn('Rejecting request', {reason: rejection});
+            invocation.fail('Unauthorized: ' + rejection, 401);
+            return;
+        }
 
-        repo: {
-            push: function(event) {
+        if (request.error) {
+            invocation.fail(request.error, 400);
+            return;
+        }
 
-                var repoInfo = repoBaseHandler(event),
-                    data = repoInfo.data,
-                    result = repoInfo.result,
-                    action = data.pushForced ? 'REBASED (attn: @dev)' : 'Pushed',
-                    commitCount = data.pushCommits ? data.pushCommits.length : 0;
+        logger.info('Webhook received');
+        logger.debug('Webhook payload', {payload: redactComments(request.payload)});
 
-                result.attachments[0].fallback = data.repoName + ': ' + commitCount + ' Commits ' + action;
-                result.attachments[0].pretext = '_' + data.repoName + ': *' + commitCount + ' Commits ' + action + '*_';
+        isDuplicateRequest(request.requestUuid, function(duplicate) {
+            if (duplicate) {
+                annotateTrace({outcome: 'duplicate'});
+                invocation.succeed('Ignored duplicate delivery ' + request.requestUuid);
+                return;
+            }
 
-                result.attachments[0].fields.push({
-                    title: helper.capitalize(data.pushType),
-                    value: data.pushTarget,
-                    short: true
-                });
+            processEvent(request, rememberRequest(request.requestUuid, invocation));
+        });
+    });
+}
 
-                result.attachments[0].fields.push({
-                    title: data.pushForced ? 'Rebased By' : 'Pushed By',
-                    value: data.actor,
-                    short: true
-                });
+/**
+ * Process a request signed by Slack, a click on a button of `SLACK_ACTIONS` or a command of `SLACK_COMMANDS`,
+ * reporting the outcome through the invocation.
+ *
+ * @param  {object} request     The parsed request, with its `slack` details
+ * @param  {object} invocation  Invocation created by `createInvocation`
+ */
+function processSlackRequest(request, invocation) {
 
-                if (commitCount > 0) {
-                    var commitsStr = '';
-                    for (var i = 0; i < commitCount; i++) {
+    loadConfig(function(err) {
+        if (err) {
+            invocation.fail(err.message, 500);
+            return;
+        }
 
-                        var commit = data.pushCommits[i];
-                        commit.message = commit.message.trim();
+        var rejection = authenticateSlackRequest(request);
 
-                        // handle bb-formatting of merge commits
-                        if (commit.message.indexOf('\n\n') > -1) {
-                            // replace the first newline with an indent block
-                            commit.message = commit.message.replace('\n\n', '\n                     _') + '_';
-                        }
+        if (rejection) {
+            logger.warn('Rejecting Slack request', {reason: rejection});
+            invocation.fail('Unauthorized: ' + rejection, 401);
+            return;
+        }
 
-                        // change to just commit.authordisplay_name if this is annoying
-                        commitsStr += '(<' + commit.links.html.href + '|' + helper.truncate(commit.hash, 8, false) + '>) ' +
-                            commit.message + ' - ' + commit.author.user.display_name + '\n';
-                    }
-                    result.attachments[0].fields.push({
-                        title: 'Commits',
-                        value: commitsStr.trim(),
-                        short: false,
-                    });
-                }
+        var form = request.slack.form;
 
-                return result;
-            },
+        if (form.payload) {
+            handleSlackAction(form.payload, invocation);
+            return;
+        }
 
+        if (form.command) {
+            handleSlashCommand(form, invocation);
+            return;
         }
-    };
 
-    return messageHandlers[context][parsedKey](data);
+        invocation.fail('Unsupported Slack request', 400);
+    });
 }
 
+/**
+ * Run a task deferred by `deferTask`, reporting the outcome through the invocation.
+ *
+ * @param  {object} task        What to do, by `type`
+ * @param  {object} invocation  Invocation created by `createInvocation`
+ */
+function runDeferredTask(task, invocation) {
 
-//------------------------------
-// Slack Submission
-//------------------------------
+    loadConfig(function(err) {
+        if (err) {
+            invocation.fail(err.message, 500);
+            return;
+        }
 
+        switch (task.type) {
+            case 'slack-action':
+                runSlackAction(task, invocation);
+                break;
+            case 'slack-command':
+                runSlashCommand(task, invocation);
+                break;
+            default:
+                invocation.fail('Unsupported task ' + task.type, 400);
+        }
+    });
+}
 
 /**
- * Properly encode and submit a normalized payload to Slack's POST endpoint.
+ * Filter, debounce and deliver the event of an authenticated webhook request.
  *
- * @param  {object} data        Slack-ready normalized payload
- * @param  {object} appContext  The Lambda context in which to invoke callbacks, etc
+ * @param  {object} request     The parsed request
+ * @param  {object} invocation  Invocation created by `createInvocation`
  */
-function sendToSlack(data, appContext) {
+function processEvent(request, invocation) {
 
-    console.info('Sending normalized event to Slack');
+    var normalized = normalizeEvent(request.payload, request.eventKey),
+        getKey = helper.getPossiblyUndefinedKeyValue.bind(this, normalized.payload);
 
-    // Build the post string from an object
-    var post_data = JSON.stringify(data);
+    normalized.requestUuid = request.requestUuid;
 
-    // An object of options to indicate where to post to
-    var post_options = {
-        host: 'hooks.slack.com',
-        port: '443',
-        path: slackPath,
-        method: 'POST',
-        headers: {
-            'Content-Type': 'text/plain',
-            'Content-Length': Buffer.byteLength(post_data)
+    annotateTrace({
+        eventKey: normalized.eventKey,
+        repository: getKey('repository.full_name') || getKey('pullrequest.destination.repository.full_name')
+    });
+
+    var problem = validateEvent(normalized.payload, normalized.eventKey);
+
+    if (problem) {
+        handleUnrecognizedEvent(normalized, problem, invocation);
+        return;
+    }
+
+    // remembered before filtering, as dropped events are still activity on the pull-request
+    rememberPullRequest(normalized, function() {
+        var decision = filterEvent(normalized.payload, normalized.eventKey);
+
+        // dropped events still succeed, so Bitbucket does not retry them
+        if (!decision.allowed) {
+            annotateTrace({outcome: 'dropped'});
+            invocation.succeed('Dropped eventKey ' + normalized.eventKey + ' by ' + decision.reason);
+            return;
         }
-    };
 
-    // Set up the request
-    var post_request = https.request(post_options, function(res) {
-        var body = '';
+        debounceEvent(normalized, function(debounce) {
+            normalized.debounce = debounce;
+
+            resolveUsers(normalized.payload, function() {
+                var generated;
+
+                try {
+                    generated = generateMessage(normalized.payload, normalized.eventKey);
+                } catch (e) {
+                    logger.error('Generating the message failed', {error: e.stack});
+                    handleUnrecognizedEvent(normalized, {
+                        kind: 'malformed',
+                        reason: 'the message could not be generated: ' + e.message
+                    }, invocation);
+                    return;
+                }
 
-        res.on('data', function(chunk) {
-            body += chunk;
-        });
+                var targets = routeEvent(normalized.payload, normalized.eventKey);
 
-        res.on('end', function() {
-            appContext.succeed(body);
-        });
+                if (!targets.webhooks.length && !targets.channels.length && !targets.outputs.length) {
+                    annotateTrace({outcome: 'unrouted'});
+                    invocation.succeed('No route matched eventKey: ' + normalized.eventKey);
+                    return;
+                }
+
+                // sent once the event is delivered, as failed deliveries are retried by Bitbucket
+                sendNotification(generated, targets, normalized, {
+                    succeed: function(message, statusCode) {
+                        sendDirectMessages(normalized, function() {
+                            invocation.succeed(message, statusCode);
+                        });
+                    },
+
+                    fail: invocation.fail,
 
-        res.on('error', function(e) {
-            appContext.fail('error:' + e.message);
+                    getRemainingTimeInMillis: invocation.getRemainingTimeInMillis
+                });
+            });
         });
     });
-
-    // post the data
-    // appContext.succeed(post_data);
-    post_request.write(post_data);
-    post_request.end();
 }
 
+/**
+ * Lambda entry point. Supports both the callback and the `async` (promise returning) handler styles.
+ *
+ * @param  {object}   event       API Gateway / Function URL event, the mapping template's output or an EventBridge
+ *                                scheduled event
+ * @param  {object}   appContext  The Lambda context
+ * @param  {function} callback    Optional Node-style callback
+ * @return {Promise}              The response, when no callback is given
+ */
+exports.handler = function(event, appContext, callback) {
+    invocationDeadline = appContext && appContext.getRemainingTimeInMillis ?
+        Date.now() + appContext.getRemainingTimeInMillis() : undefined;
+
+    var response = new Promise(function(resolve, reject) {
+        var scheduled = isScheduledEvent(event || {}),
+            deferred = isDeferredTask(event || {}),
+            request = scheduled || deferred ? {proxy: false} : parseRequest(event || {});
+
+        startTrace(request.requestUuid || deferred && event.correlationId || appContext && appContext.awsRequestId);
+        annotateTrace({eventKey: request.eventKey});
+
+        var invocation = createInvocation(request, appContext, function(err, result) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        });
+
+        if (scheduled) {
+            runDigest(invocation);
+        } else if (deferred) {
+            runDeferredTask(event.task, invocation);
+        } else if (request.slack) {
+            processSlackRequest(request, invocation);
+        } else {
+            processWebhook(request, invocation);
+        }
+    });
 
-//------------------------------
-// Lambda Endpoint Handler
-//------------------------------
+    if (typeof callback !== 'function') {
+        return response;
+    }
 
-exports.handler = function(event, appContext) {
-    console.info('Event received. Processing ...');
-    var data = generateMessage(event.payload, event._event_key, appContext);
-    sendToSlack(data, appContext);
-};
\ No newline at end of file
+    response.then(function(result) {
+        callback(null, result);
+    }, callback);
+};
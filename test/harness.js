@@ -0,0 +1,354 @@
+'use strict';
+
+// Runs Bitbucket webhook payloads through `exports.handler` of the proxy, the way Lambda would, while a stub answers
+// every HTTPS request it makes in place of Slack and the other outputs. Used by both `run.js` and `replay.js`.
+
+var crypto = require('crypto'),
+    fs = require('fs'),
+    https = require('https'),
+    querystring = require('querystring'),
+    path = require('path'),
+    EventEmitter = require('events').EventEmitter;
+
+var PROXY = path.join(__dirname, '..', 'bitbucket-slack-lambda-proxy.js');
+
+
+//------------------------------
+// Stub Slack Server
+//------------------------------
+
+/**
+ * Answer a request the way Slack would. Incoming webhooks reply `ok`, Web API methods reply with a successful
+ * response and everything else (Teams, Discord, JSON outputs) with an empty 200.
+ *
+ * @param  {object} request  Recorded request, see `stubHttps`
+ * @return {object}          The `statusCode` and `body` to respond with
+ */
+function respondAsSlack(request) {
+
+    if (request.host === 'hooks.slack.com') {
+        return {statusCode: 200, body: 'ok'};
+    }
+
+    if (request.host !== 'slack.com') {
+        return {statusCode: 200, body: ''};
+    }
+
+    var method = request.path.replace(/^\/api\//, ''),
+        params = request.body || {};
+
+    switch (method) {
+        case 'chat.postMessage':
+        case 'chat.update':
+            return {statusCode: 200, body: JSON.stringify({
+                ok: true,
+                channel: params.channel,
+                ts: params.ts || '1700000000.' + ('00000' + request.sequence).slice(-6)
+            })};
+        case 'users.lookupByEmail':
+            return {statusCode: 200, body: JSON.stringify({ok: false, error: 'users_not_found'})};
+        default:
+            return {statusCode: 200, body: JSON.stringify({ok: true})};
+    }
+}
+
+/**
+ * Replace `https.request` with a stub that records every request and answers it through `respond`, without
+ * touching the network. Call `restore` on the returned stub to put the real `https.request` back.
+ *
+ * @param  {function} respond  Invoked with each recorded request, returns its `statusCode` and `body`
+ * @return {object}            The stub, exposing the recorded `requests` and `restore()`
+ */
+function stubHttps(respond) {
+
+    var original = https.request,
+        stub = {requests: []};
+
+    https.request = function(options, onResponse) {
+        var request = new EventEmitter(),
+            chunks = [];
+
+        request.setTimeout = function() {};
+        request.destroy = function() {};
+
+        request.write = function(chunk) {
+            chunks.push(String(chunk));
+        };
+
+        request.end = function() {
+            var raw = chunks.join(''),
+                recorded = {
+                    sequence: stub.requests.length + 1,
+                    method: options.method,
+                    host: options.host || options.hostname,
+                    path: options.path
+                };
+
+            try {
+                recorded.body = raw ? JSON.parse(raw) : undefined;
+            } catch (e) {
+                recorded.body = raw;
+            }
+
+            stub.requests.push(recorded);
+
+            var reply = respond(recorded);
+
+            setImmediate(function() {
+                var response = new EventEmitter();
+
+                response.statusCode = reply.statusCode;
+                response.headers = reply.headers || {};
+                response.setEncoding = function() {};
+
+                onResponse(response);
+
+                if (reply.body) {
+                    response.emit('data', reply.body);
+                }
+
+                response.emit('end');
+            });
+        };
+
+        return request;
+    };
+
+    stub.restore = function() {
+        https.request = original;
+    };
+
+    return stub;
+}
+
+
+//------------------------------
+// Replaying
+//------------------------------
+
+/**
+ * Build the Lambda event that a Function URL would hand over for a Bitbucket webhook.
+ *
+ * @param  {string} eventKey  Event-Key of the webhook
+ * @param  {object} payload   Body of the webhook
+ * @param  {object} headers   Additional request headers
+ * @return {object}           The Lambda event
+ */
+function createWebhookEvent(eventKey, payload, headers) {
+    var eventHeaders = {'content-type': 'application/json'};
+
+    if (eventKey) {
+        eventHeaders['x-event-key'] = eventKey;
+    }
+
+    Object.keys(headers || {}).forEach(function(name) {
+        eventHeaders[name.toLowerCase()] = headers[name];
+    });
+
+    return {
+        version: '2.0',
+        headers: eventHeaders,
+        body: JSON.stringify(payload),
+        isBase64Encoded: false,
+        requestContext: {
+            http: {method: 'POST', sourceIp: '127.0.0.1'}
+        }
+    };
+}
+
+/**
+ * Build the Lambda event that a Function URL would hand over for a request from Slack, such as a button click, signed
+ * with the given secret the way Slack signs it.
+ *
+ * @param  {object} form    Fields of the form Slack posts, a `payload` object is sent as JSON
+ * @param  {string} secret  Signing secret of the Slack app
+ * @param  {number} now     Time of the request in epoch milliseconds, by default the current time
+ * @return {object}         The Lambda event
+ */
+function createSlackEvent(form, secret, now) {
+    var fields = {};
+
+    Object.keys(form).forEach(function(name) {
+        fields[name] = typeof form[name] === 'object' ? JSON.stringify(form[name]) : form[name];
+    });
+
+    var body = querystring.stringify(fields),
+        timestamp = String(Math.floor((now || Date.now()) / 1000)),
+        signature = 'v0=' + crypto.createHmac('sha256', secret || '').update('v0:' + timestamp + ':' + body)
+            .digest('hex');
+
+    return {
+        version: '2.0',
+        headers: {
+            'content-type': 'application/x-www-form-urlencoded',
+            'x-slack-request-timestamp': timestamp,
+            'x-slack-signature': signature
+        },
+        body: body,
+        isBase64Encoded: false,
+        requestContext: {
+            http: {method: 'POST', sourceIp: '127.0.0.1'}
+        }
+    };
+}
+
+/**
+ * Read a saved webhook: a Lambda event as logged by API Gateway or a Function URL, a fixture holding the `eventKey`
+ * and `payload`, or the bare body Bitbucket sent (whose event key is then given separately, or read from the body
+ * of Bitbucket Server webhooks).
+ *
+ * @param  {string} file      Path of the saved webhook
+ * @param  {string} eventKey  Event-Key to use for a bare body
+ * @return {object}           The Lambda event to replay
+ */
+function readWebhook(file, eventKey) {
+    var saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (saved.headers && saved.body !== undefined) {
+        return saved;
+    }
+
+    if (saved.eventKey !== undefined && saved.payload !== undefined) {
+        return createWebhookEvent(eventKey || saved.eventKey, saved.payload, saved.headers);
+    }
+
+    return createWebhookEvent(eventKey || saved.eventKey, saved);
+}
+
+/**
+ * Load a fresh copy of the proxy, so that no configuration, store or cache is carried over between replays.
+ *
+ * @return {object}  The proxy's exports
+ */
+function loadProxy() {
+    delete require.cache[require.resolve(PROXY)];
+
+    return require(PROXY);
+}
+
+/**
+ * Replay a Lambda event through the handler with the given environment. The environment replaces `process.env`
+ * while the handler runs, and HTTPS requests are answered by the stub Slack server unless `live` is set. A list of
+ * events is replayed one after the other through the same copy of the proxy, which keeps its memory store between
+ * them, and answered with the response to the last one. Tasks the proxy defers past its answer are run before moving
+ * on.
+ *
+ * @param  {object}   event     The Lambda event, or a list of them
+ * @param  {object}   options   `env` to run with, `live` to send requests for real, `respond` to answer them in
+ *                              place of `respondAsSlack`, `now` to stop the clock at, in epoch milliseconds, and
+ *                              `quiet` to capture the logs of the proxy instead of printing them
+ * @param  {function} callback  Invoked with an error or the result as `{response, requests, logs}`
+ */
+function replay(event, options, callback) {
+
+    var originalEnv = process.env,
+        originalConsole = {},
+        stub = options.live ? undefined : stubHttps(options.respond || respondAsSlack),
+        originalNow = Date.now,
+        logs = [];
+
+    process.env = options.env || originalEnv;
+
+    if (options.now) {
+        Date.now = function() {
+            return options.now;
+        };
+    }
+
+    if (options.quiet) {
+        ['log', 'debug', 'info', 'warn', 'error'].forEach(function(level) {
+            originalConsole[level] = console[level];
+            console[level] = function() {
+                logs.push(level + ': ' + Array.prototype.slice.call(arguments).join(' '));
+            };
+        });
+    }
+
+    var finish = function(err, response) {
+        process.env = originalEnv;
+        Date.now = originalNow;
+
+        Object.keys(originalConsole).forEach(function(level) {
+            console[level] = originalConsole[level];
+        });
+
+        if (stub) {
+            stub.restore();
+        }
+
+        if (err) {
+            err.logs = logs;
+            return callback(err);
+        }
+
+        callback(null, {
+            response: response,
+            requests: stub ? stub.requests : [],
+            logs: logs
+        });
+    };
+
+    var appContext = {
+        awsRequestId: 'replay',
+        getRemainingTimeInMillis: function() {
+            return 30000;
+        }
+    };
+
+    var events = [].concat(event),
+        running = 0;
+
+    // the proxy calls its own handler for the work it defers until after answering, which is waited for as well
+    var track = function(proxy) {
+        var handler = proxy.handler;
+
+        proxy.handler = function(event, context, callback) {
+            running++;
+
+            return handler(event, context, function(err, response) {
+                running--;
+                callback(err, response);
+            });
+        };
+
+        return proxy;
+    };
+
+    var whenIdle = function(callback) {
+        setTimeout(function() {
+            if (running) {
+                return whenIdle(callback);
+            }
+
+            callback();
+        }, 5);
+    };
+
+    var next = function(proxy, index) {
+        proxy.handler(events[index], appContext, function(err, response) {
+            whenIdle(function() {
+                if (err || index === events.length - 1) {
+                    return finish(err, response);
+                }
+
+                next(proxy, index + 1);
+            });
+        });
+    };
+
+    try {
+        next(track(loadProxy()), 0);
+    } catch (e) {
+        finish(e);
+    }
+}
+
+module.exports = {
+    PROXY: PROXY,
+    stubHttps: stubHttps,
+    respondAsSlack: respondAsSlack,
+    createWebhookEvent: createWebhookEvent,
+    createSlackEvent: createSlackEvent,
+    readWebhook: readWebhook,
+    replay: replay
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+// Replays a saved webhook through the handler and prints the requests it would have sent, to check a change or a
+// configuration against a real delivery without deploying it.
+//
+//   node test/replay.js <webhook.json> [--event-key <key>] [--config <file>] [--send]
+//
+// The webhook file can be a Lambda event as logged by API Gateway or a Function URL, a fixture of `fixtures/`, or
+// the body Bitbucket sent, with its X-Event-Key given by `--event-key`. `--config` names a configuration document,
+// read like `CONFIG_SOURCE`; the environment variables of the shell apply as well. Requests are answered by the stub
+// Slack server, unless `--send` is given to deliver them for real.
+
+var harness = require('./harness');
+
+
+/**
+ * Read the options of the command line.
+ *
+ * @param  {string[]} args  Command line arguments
+ * @return {object}         The `file`, `eventKey`, `config` and `send` options
+ */
+function parseArguments(args) {
+    var options = {};
+
+    for (var i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--event-key':
+                options.eventKey = args[++i];
+                break;
+            case '--config':
+                options.config = args[++i];
+                break;
+            case '--send':
+                options.send = true;
+                break;
+            default:
+                options.file = args[i];
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Replay the webhook named on the command line, exiting non-zero when the handler failed or rejected it.
+ *
+ * @param  {string[]} args  Command line arguments
+ */
+function main(args) {
+
+    var options = parseArguments(args);
+
+    if (!options.file) {
+        console.error('Usage: node test/replay.js <webhook.json> [--event-key <key>] [--config <file>] [--send]');
+        process.exitCode = 2;
+        return;
+    }
+
+    var env = {};
+
+    Object.keys(process.env).forEach(function(name) {
+        env[name] = process.env[name];
+    });
+
+    if (options.config) {
+        env.CONFIG_SOURCE = options.config;
+    }
+
+    var event;
+
+    try {
+        event = harness.readWebhook(options.file, options.eventKey);
+    } catch (e) {
+        console.error('Unable to read ' + options.file + ': ' + e.message);
+        process.exitCode = 2;
+        return;
+    }
+
+    harness.replay(event, {env: env, live: options.send}, function(err, result) {
+        if (err) {
+            console.error('\nHandler failed:', err.message);
+            process.exitCode = 1;
+            return;
+        }
+
+        result.requests.forEach(function(request) {
+            console.log('\n' + request.method + ' https://' + request.host + request.path);
+            console.log(JSON.stringify(request.body, null, 2));
+        });
+
+        console.log('\nResponse:', JSON.stringify(result.response, null, 2));
+
+        if (result.response.statusCode >= 400) {
+            process.exitCode = 1;
+        }
+    });
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,264 @@
+'use strict';
+
+// Feeds every fixture in `fixtures/` through the handler against the stub Slack server and compares what would have
+// been sent with the snapshot of the same name in `snapshots/`.
+//
+//   node test/run.js                   Check every fixture
+//   node test/run.js pullrequest_      Check the fixtures whose name contains the given text
+//   node test/run.js --update          Rewrite the snapshots after an intended change to the messages
+//
+// A fixture holds the `eventKey` and `payload` of a webhook, optionally with request `headers` and an `env` merged over
+// the environment below, or a list of such webhooks as `events` to replay one after the other. In place of a webhook,
+// `slack` holds the form of a request from Slack, signed with `SLACK_SIGNING_SECRET` unless a `secret` is given, and
+// `event` any other Lambda event, such as an EventBridge schedule. Requests to the Bitbucket API are answered from
+// `bitbucket`, the response bodies keyed by request path, and with a 404 for any other path. Any other request can be
+// answered from `responses`, keyed by host and path, with a `statusCode` and `body` or a list of them to answer one
+// after the other. `now` stops the clock at the given date, and `logs` keeps the logs of the handler in the snapshot as
+// well. A fixture naming another one, or a file of `fixtures/shared`, as `extends` takes what it leaves out from there,
+// with its `env`, `slack`, `bitbucket` and `responses` merged over those of the other; each of `events` can take its
+// webhook from another fixture the same way. Missing snapshots are written, except on CI.
+
+var fs = require('fs'),
+    path = require('path'),
+    harness = require('./harness');
+
+var FIXTURES = path.join(__dirname, 'fixtures'),
+    SNAPSHOTS = path.join(__dirname, 'snapshots');
+
+// The environment every fixture runs with, instead of the one of the calling shell
+var ENVIRONMENT = {
+    SLACK_PATH: '/services/T00000000/B00000000/XXXXXXXXXXXXXXXXXXXXXXXX',
+    BITBUCKET_TO_SLACK_USERS: JSON.stringify({
+        '{a1b2c3d4-0000-4000-8000-000000000001}': 'U0JSMITH00',
+        'jdoe': 'U0JDOE0000'
+    })
+};
+
+
+/**
+ * List the captured log lines, with the times and durations in them replaced as they differ from run to run.
+ *
+ * @param  {string[]} logs  Captured log lines, eg `warn: {"message": ...}`
+ * @return {string[]}       The log lines, fit for a snapshot
+ */
+function describeLogs(logs) {
+    return logs.map(function(line) {
+        return line
+            .replace(/"timestamp":"[^"]*"/g, '"timestamp":"*"')
+            .replace(/"(Timestamp|durationMs|ProcessingTime|DeliveryLatency|delayMs)":\d+/g, '"$1":"*"');
+    });
+}
+
+/**
+ * Describe what the handler sent and answered in a form worth keeping as a snapshot.
+ *
+ * @param  {object}  result  Result of `harness.replay`
+ * @param  {boolean} logs    Whether to keep the logs as well
+ * @return {object}          The `response` and the `requests` made, in order, and the `logs` when asked for
+ */
+function describeResult(result, logs) {
+    return {
+        response: result.response,
+        requests: result.requests.map(function(request) {
+            return {
+                method: request.method,
+                url: 'https://' + request.host + request.path,
+                body: request.body
+            };
+        }),
+        logs: logs ? describeLogs(result.logs) : undefined
+    };
+}
+
+/**
+ * Show the first line where a snapshot and the actual output differ, after a few lines of context.
+ *
+ * @param  {string} expected  The snapshot
+ * @param  {string} actual    The output
+ * @return {string}           The differing lines
+ */
+function describeDifference(expected, actual) {
+    var expectedLines = expected.split('\n'),
+        actualLines = actual.split('\n'),
+        first = 0;
+
+    while (first < expectedLines.length && expectedLines[first] === actualLines[first]) {
+        first++;
+    }
+
+    var lines = expectedLines.slice(Math.max(0, first - 3), first).map(function(line) {
+        return '  ' + line;
+    });
+
+    lines.push('- ' + (first < expectedLines.length ? expectedLines[first] : '(end)'));
+    lines.push('+ ' + (first < actualLines.length ? actualLines[first] : '(end)'));
+
+    return lines.join('\n');
+}
+
+/**
+ * Complete a fixture, or one of its `events`, with what it leaves out of the fixture it `extends`.
+ *
+ * @param  {object} fixture  The fixture as written
+ * @return {object}          The fixture
+ */
+function extendFixture(fixture) {
+    if (!fixture.extends) {
+        return fixture;
+    }
+
+    var base = readFixture(fixture.extends);
+
+    Object.keys(fixture).forEach(function(key) {
+        if (['env', 'slack', 'bitbucket', 'responses'].indexOf(key) > -1) {
+            base[key] = Object.assign({}, base[key], fixture[key]);
+        } else if (key !== 'extends') {
+            base[key] = fixture[key];
+        }
+    });
+
+    return base;
+}
+
+/**
+ * Read a fixture, along with the fixtures it `extends`.
+ *
+ * @param  {string} name  File name of the fixture, relative to `fixtures/`
+ * @return {object}       The fixture
+ */
+function readFixture(name) {
+    return extendFixture(JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8')));
+}
+
+/**
+ * Replay one fixture and check it against its snapshot.
+ *
+ * @param  {string}   name      File name of the fixture
+ * @param  {boolean}  update    Whether to rewrite the snapshot instead
+ * @param  {function} callback  Invoked with an error describing the failure, if any
+ */
+function checkFixture(name, update, callback) {
+
+    var fixture = readFixture(name),
+        snapshotFile = path.join(SNAPSHOTS, name),
+        now = fixture.now ? Date.parse(fixture.now) : undefined,
+        env = {};
+
+    Object.keys(ENVIRONMENT).forEach(function(key) {
+        env[key] = ENVIRONMENT[key];
+    });
+
+    Object.keys(fixture.env || {}).forEach(function(key) {
+        env[key] = fixture.env[key];
+    });
+
+    var event = (fixture.events || [fixture]).map(extendFixture).map(function(webhook) {
+        if (webhook.event) {
+            return webhook.event;
+        }
+
+        if (webhook.slack) {
+            return harness.createSlackEvent(webhook.slack, webhook.secret || env.SLACK_SIGNING_SECRET, now);
+        }
+
+        return harness.createWebhookEvent(webhook.eventKey, webhook.payload, webhook.headers);
+    });
+
+    var answered = {};
+
+    var respond = function(request) {
+        var url = request.host + request.path,
+            canned = (fixture.responses || {})[url];
+
+        if (canned) {
+            var answers = [].concat(canned),
+                answer = answers[Math.min(answered[url] = (answered[url] || 0) + 1, answers.length) - 1];
+
+            return {
+                statusCode: answer.statusCode || 200,
+                body: typeof answer.body === 'string' ? answer.body : JSON.stringify(answer.body)
+            };
+        }
+
+        if (request.host !== 'api.bitbucket.org') {
+            return harness.respondAsSlack(request);
+        }
+
+        if (!(fixture.bitbucket || {}).hasOwnProperty(request.path)) {
+            return {statusCode: 404, body: JSON.stringify({type: 'error', error: {message: 'Not found'}})};
+        }
+
+        return {statusCode: 200, body: JSON.stringify(fixture.bitbucket[request.path])};
+    };
+
+    harness.replay(event, {env: env, now: now, quiet: true, respond: respond}, function(err, result) {
+        if (err) {
+            return callback(new Error('Handler failed: ' + err.message + '\n' + err.logs.join('\n')));
+        }
+
+        var actual = JSON.stringify(describeResult(result, fixture.logs), null, 2) + '\n';
+
+        if (update || !fs.existsSync(snapshotFile)) {
+            if (!update && process.env.CI) {
+                return callback(new Error('Missing snapshot ' + path.relative(process.cwd(), snapshotFile)));
+            }
+
+            fs.writeFileSync(snapshotFile, actual);
+            return callback(null, 'written');
+        }
+
+        var expected = fs.readFileSync(snapshotFile, 'utf8');
+
+        if (expected !== actual) {
+            return callback(new Error('Output differs from the snapshot:\n' + describeDifference(expected, actual)));
+        }
+
+        callback(null);
+    });
+}
+
+/**
+ * Check the fixtures one after the other and report the outcome, exiting non-zero when any failed.
+ *
+ * @param  {string[]} args  Command line arguments
+ */
+function main(args) {
+
+    var update = args.indexOf('--update') > -1,
+        filter = args.filter(function(arg) {
+            return arg.indexOf('--') !== 0;
+        })[0];
+
+    var names = fs.readdirSync(FIXTURES).filter(function(name) {
+        return /\.json$/.test(name) && (!filter || name.indexOf(filter) > -1);
+    }).sort();
+
+    var failures = 0;
+
+    var next = function(index) {
+        if (index >= names.length) {
+            console.log('\n' + (names.length - failures) + ' passed, ' + failures + ' failed');
+            process.exitCode = failures || !names.length ? 1 : 0;
+            return;
+        }
+
+        checkFixture(names[index], update, function(err, note) {
+            if (err) {
+                failures++;
+                console.log('✗ ' + names[index] + '\n' + err.message.replace(/^/gm, '    '));
+            } else {
+                console.log('✓ ' + names[index] + (note ? ' (' + note + ')' : ''));
+            }
+
+            next(index + 1);
+        });
+    };
+
+    if (!fs.existsSync(SNAPSHOTS)) {
+        fs.mkdirSync(SNAPSHOTS);
+    }
+
+    next(0);
+}
+
+main(process.argv.slice(2));